@@ -0,0 +1,143 @@
+/**
+ * Times the data pipeline on a synthetic dataset much larger than DrawTabData, to check that
+ * the build stays fast as the data grows: encoding the compact format (generate-data.js),
+ * loading it (data-loader.js) and building every detail page's data the way the prerender does
+ * (device-api.js mirrors the page loaders). For comparison it also times the old approach of
+ * expanding the rows on load and scanning all pairs for each page.
+ * Run: node scripts/benchmark-data.js [--tablets <n>] [--pens <n>] [--brands <n>] [--seed <n>]
+ */
+
+import { performance } from 'perf_hooks';
+import { DATA_FORMAT, encodeCompatibilityData } from '../src/lib/data-format.js';
+import { fetchAndParseJSON, fetchCompatibilityData } from '../src/lib/data-loader.js';
+import {
+  buildTabletDocument,
+  buildPenDocument,
+  buildPenFamilyDocument,
+  buildTabletFamilyDocument,
+} from '../src/lib/device-api.js';
+
+function getArg(name, fallback) {
+  const args = process.argv.slice(2);
+  const i = args.indexOf(name);
+  return i >= 0 && i + 1 < args.length ? Number(args[i + 1]) : fallback;
+}
+
+const TABLETS = getArg('--tablets', 5000);
+const PENS = getArg('--pens', 1500);
+const BRANDS = getArg('--brands', 10);
+const SEED = getArg('--seed', 1);
+
+// Small deterministic PRNG (mulberry32), so runs are comparable.
+let state = SEED;
+function random() {
+  state = (state + 0x6D2B79F5) | 0;
+  let t = Math.imul(state ^ (state >>> 15), 1 | state);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+const pick = (list) => list[Math.floor(random() * list.length)];
+
+// Definitions and compat rows in the generate script's output shape: tablets in families of
+// about 20, pens in families of about 5, a family row per tablet family plus direct rows.
+function buildDataset() {
+  const brands = Array.from({ length: BRANDS }, (_, i) => `brand${i}`);
+  const penfamilydefs = [];
+  const pendefs = [];
+  const tabletfamilydefs = [];
+  const tabletdefs = [];
+  const compatrows = [];
+
+  for (let i = 0; i < PENS; i++) {
+    const brand = brands[i % BRANDS];
+    const familyid = `PF${Math.floor(i / 5)}`;
+    if (i % 5 === 0) penfamilydefs.push({ brand, id: familyid, name: `Pen family ${familyid}` });
+    pendefs.push({ brand, familyid, id: `P${i}`, name: `Pen ${i}`, fullname: `${brand} Pen ${i} (P${i})`, year: '', attributes: {} });
+  }
+  for (let i = 0; i < TABLETS; i++) {
+    const brand = brands[i % BRANDS];
+    const familyid = `TF${Math.floor(i / 20)}`;
+    if (i % 20 === 0) tabletfamilydefs.push({ brand, id: familyid, name: `Tablet family ${familyid}` });
+    tabletdefs.push({ brand, familyid, id: `T${i}`, name: `Tablet ${i}`, fullname: `${brand} Tablet ${i} (T${i})`, type: 'pentablet', attributes: {} });
+  }
+
+  const source = (i) => ({ file: 'SYNTHETIC-pen-compat.json', index: i });
+  tabletfamilydefs.forEach((family) => {
+    compatrows.push({
+      tablets: [],
+      pens: [],
+      penfamilies: [pick(penfamilydefs).id, pick(penfamilydefs).id],
+      tabletfamilies: [family.id],
+      source: source(compatrows.length),
+    });
+  });
+  tabletdefs.forEach((tablet) => {
+    compatrows.push({ tablets: [tablet.id], pens: [pick(pendefs).id], source: source(compatrows.length) });
+  });
+
+  return { penfamilydefs, pendefs, tabletfamilydefs, tabletdefs, compatrows };
+}
+
+// An in-memory `fetchImpl` serving `files` (name -> JSON text).
+function memoryFetch(files) {
+  return async (url) => {
+    const name = String(url).split('/').pop();
+    return files.has(name) ? new Response(files.get(name)) : new Response(null, { status: 404 });
+  };
+}
+
+async function time(label, fn) {
+  const start = performance.now();
+  const result = await fn();
+  console.log(`  ${label.padEnd(44)} ${(performance.now() - start).toFixed(0).padStart(7)} ms`);
+  return result;
+}
+
+function buildAllPages(data) {
+  data.tabletDefs.forEach((_, id) => buildTabletDocument(id, data));
+  data.penDefs.forEach((_, id) => buildPenDocument(id, data));
+  data.penFamilyDefs.forEach((_, id) => buildPenFamilyDocument(id, data));
+  data.tabletFamilyDefs.forEach((_, id) => buildTabletFamilyDocument(id, data));
+}
+
+// The lookups each detail page makes, with the indices...
+function lookUpAllPages(data) {
+  data.tabletDefs.forEach((_, id) => data.pairsByTablet.get(id));
+  data.penDefs.forEach((_, id) => data.pairsByPen.get(id));
+  data.penFamilyDefs.forEach((_, id) => data.pensByFamily.get(id));
+  data.tabletFamilyDefs.forEach((_, id) => data.tabletsByFamily.get(id));
+}
+
+// ...and as the loaders made them before: one pass over every pair (or def) per page.
+function scanAllPages(data) {
+  data.tabletDefs.forEach((_, id) => data.pairs.filter((pair) => pair.tabletId === id));
+  data.penDefs.forEach((_, id) => data.pairs.filter((pair) => pair.penId === id));
+  data.penFamilyDefs.forEach((_, id) => Array.from(data.penDefs.values()).filter((def) => def.familyId === id));
+  data.tabletFamilyDefs.forEach((_, id) => Array.from(data.tabletDefs.values()).filter((def) => def.familyId === id));
+}
+
+const raw = buildDataset();
+console.log(`Synthetic data: ${BRANDS} brands, ${TABLETS} tablets, ${PENS} pens, ${raw.compatrows.length} compat rows (seed ${SEED})\n`);
+
+console.log('Compact format (current):');
+const encoded = await time('encode (generate-data)', () => encodeCompatibilityData(raw));
+const coreText = JSON.stringify(encoded.core);
+const files = new Map([
+  ['manifest.json', JSON.stringify({ format: DATA_FORMAT, hash: 'benchmark', core: 'core.json' })],
+  ['core.json', coreText],
+]);
+const data = await time('load (fetchCompatibilityData)', () => fetchCompatibilityData('/data', memoryFetch(files)));
+await time('look up pairs/members per page (indices)', () => lookUpAllPages(data));
+await time(`build ${data.tabletDefs.size + data.penDefs.size} device and ${data.penFamilyDefs.size + data.tabletFamilyDefs.size} family pages`, () => buildAllPages(data));
+console.log(`  ${data.pairs.length} pairs, core file ${(coreText.length / 1024).toFixed(0)} KiB\n`);
+
+console.log('Old format (for comparison):');
+const legacyFiles = new Map([
+  ['pens.json', JSON.stringify({ penfamilydefs: raw.penfamilydefs, pendefs: raw.pendefs }, null, 4)],
+  ['tablets.json', JSON.stringify({ tabletfamilydefs: raw.tabletfamilydefs, tabletdefs: raw.tabletdefs }, null, 4)],
+  ['compat.json', JSON.stringify({ compatrows: raw.compatrows }, null, 4)],
+]);
+const legacyData = await time('load and expand (fetchAndParseJSON)', () => fetchAndParseJSON('compat.json', 'tablets.json', 'pens.json', memoryFetch(legacyFiles)));
+await time('scan all pairs/defs per page', () => scanAllPages(legacyData));
+const legacySize = Array.from(legacyFiles.values()).reduce((sum, text) => sum + text.length, 0);
+console.log(`  files ${(legacySize / 1024).toFixed(0)} KiB`);
@@ -0,0 +1,137 @@
+/**
+ * Local overrides merged over the DrawTabData source files by generate-data.js, for devices
+ * that are not (or not yet) in DrawTabData: prototypes, regional SKUs, local corrections.
+ *
+ * The overrides directory mirrors data-repo/data/: data-overrides/pens/WACOM-pens.json
+ * overrides data-repo/data/pens/WACOM-pens.json. An override file has the source file's
+ * top-level array plus two optional ones:
+ *   <root>  records to add, validated like source records; one whose id is already in the
+ *           source file replaces that record (reported as a conflict)
+ *   Patch   partial records, merged into the source record with the same id as a JSON
+ *           Merge Patch (objects merge field by field, null removes a field)
+ *   Delete  ids of source records to drop
+ * Compat entries have no id: their Patch entries carry `Index` and Delete lists indexes,
+ * the entry's position in the source file (the "entry #N" shown in pair sources).
+ * Patches and deletions that match nothing are reported as conflicts and skipped.
+ */
+
+import { validateFile } from './data-schema.js';
+
+export const OVERRIDES_DIR = 'data-overrides';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function mergePatch(target, patch) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete result[key];
+    else result[key] = isPlainObject(value) && isPlainObject(target[key]) ? mergePatch(target[key], value) : value;
+  }
+  return result;
+}
+
+/**
+ * Merges an override file into the validated records of a source file.
+ * @param {{records: Object[], indexes: number[]} | null} source - From validateFile; null when the source file is missing.
+ * @param {Object} data - Parsed override file.
+ * @param {{file: string, schema: Object, idOf?: (record: Object) => string}} options
+ *   `file` is the override file's path, used in conflicts; without `idOf` (compat entries)
+ *   records are matched by their index in the source file.
+ * @returns {{entries: {record: Object, index: number, override: string}[], applied: {id: string|number, action: string}[], issues: Object[], conflicts: Object[]}}
+ *   `entries` in source order, then the additions; `index` is the record's position in the
+ *   file it came from and `override` is '', 'added', 'patched' or 'replaced'. `issues` are
+ *   validation issues in the override file; `conflicts` use the same shape.
+ */
+export function mergeOverrides(source, data, { file, schema, idOf }) {
+  const conflicts = [];
+  const conflict = (field, index, message) => {
+    conflicts.push({ severity: 'warning', file, index, field, message });
+  };
+  const keyOf = idOf || ((record, index) => index);
+
+  const entries = (source?.records || []).map((record, i) => ({ record, index: source.indexes[i], override: '' }));
+  const byKey = new Map(entries.map((entry) => [keyOf(entry.record, entry.index), entry]));
+  const deleted = new Set();
+
+  const deletions = Array.isArray(data.Delete) ? data.Delete : [];
+  deletions.forEach((key, i) => {
+    if (!byKey.has(key)) {
+      conflict('Delete', i, `${JSON.stringify(key)} is not in the source file`);
+      return;
+    }
+    deleted.add(key);
+  });
+
+  const patches = Array.isArray(data.Patch) ? data.Patch : [];
+  patches.forEach((patch, i) => {
+    if (!isPlainObject(patch)) {
+      conflict('Patch', i, 'expected object');
+      return;
+    }
+    const { Index, ...fields } = patch;
+    const key = idOf ? idOf(patch) : Index;
+    if (!byKey.has(key)) {
+      conflict('Patch', i, `${JSON.stringify(key)} is not in the source file`);
+      return;
+    }
+    if (deleted.has(key)) {
+      conflict('Patch', i, `${JSON.stringify(key)} is also deleted; the deletion wins`);
+      return;
+    }
+    const entry = byKey.get(key);
+    const record = mergePatch(entry.record, fields);
+    const { records, issues } = validateFile(file, { [schema.root]: [record] }, schema);
+    if (records.length === 0) {
+      conflict('Patch', i, `the patched record is invalid (${issues.map((issue) => `${issue.field}: ${issue.message}`).join('; ')})`);
+      return;
+    }
+    if (idOf && idOf(record) !== key) {
+      conflict('Patch', i, `a patch cannot change the id ${JSON.stringify(key)}`);
+      return;
+    }
+    entry.record = record;
+    entry.override = 'patched';
+  });
+
+  const additions = validateFile(file, { ...data, [schema.root]: data[schema.root] ?? [] }, schema);
+  const added = new Map();
+  additions.records.forEach((record, i) => {
+    const index = additions.indexes[i];
+    const entry = { record, index, override: 'added' };
+    if (!idOf) {
+      entries.push(entry);
+      return;
+    }
+
+    const key = idOf(record);
+    if (added.has(key)) {
+      conflict(schema.root, index, `${JSON.stringify(key)} is added twice; the later record wins`);
+      Object.assign(added.get(key), { record, index });
+    } else if (byKey.has(key)) {
+      const target = byKey.get(key);
+      // Deleted and added again is an explicit replacement.
+      if (deleted.has(key)) deleted.delete(key);
+      else if (target.override === 'patched') conflict(schema.root, index, `${JSON.stringify(key)} is also patched; the added record replaces the patched one`);
+      else conflict(schema.root, index, `${JSON.stringify(key)} is already in the source file; the override replaces it`);
+      added.set(key, Object.assign(target, entry, { override: 'replaced' }));
+    } else {
+      added.set(key, entry);
+      entries.push(entry);
+    }
+  });
+
+  const kept = entries.filter((entry) => entry.override === 'added' || !deleted.has(keyOf(entry.record, entry.index)));
+  const applied = [
+    ...kept.filter((entry) => entry.override).map((entry) => ({ id: keyOf(entry.record, entry.index), action: entry.override })),
+    ...Array.from(deleted, (key) => ({ id: key, action: 'deleted' })),
+  ];
+
+  return {
+    entries: kept,
+    applied,
+    issues: additions.issues,
+    conflicts,
+  };
+}
@@ -0,0 +1,192 @@
+/**
+ * Declared shapes of the DrawTabData source files consumed by generate-data.js,
+ * and a small validator that reports every offending record.
+ */
+
+const STRING = ['string'];
+const STRING_OR_NUMBER = ['string', 'number'];
+
+// Each field: `paths` are tried in order (first present wins), `type` lists the
+// accepted typeof values, `required` fields must be present and non-empty.
+// `anyOf` groups: at least one field of each group must be present and non-empty.
+export const PEN_SCHEMA = {
+  root: 'Pens',
+  fields: [
+    { paths: ['PenId'], type: STRING, required: true },
+    { paths: ['PenName'], type: STRING, required: true },
+    { paths: ['PenFamily'], type: STRING },
+    { paths: ['PenYear'], type: STRING_OR_NUMBER },
+  ],
+};
+
+// Tablets come in two layouts: the current nested `Model.*` one and the legacy flat one.
+export const TABLET_SCHEMA = {
+  root: 'DrawingTablets',
+  variants: [
+    {
+      name: 'nested',
+      matches: (record) => record.Model !== undefined,
+      fields: [
+        { paths: ['Model'], type: ['object'], required: true },
+        { paths: ['Model.Id'], type: STRING, required: true },
+        { paths: ['Model.Name'], type: STRING, required: true },
+        { paths: ['Model.Family'], type: STRING },
+        { paths: ['Model.Type'], type: STRING },
+      ],
+    },
+    {
+      name: 'flat',
+      matches: () => true,
+      fields: [
+        { paths: ['ModelId'], type: STRING, required: true },
+        { paths: ['ModelName'], type: STRING, required: true },
+        { paths: ['ModelFamily'], type: STRING },
+        { paths: ['ModelType'], type: STRING },
+      ],
+    },
+  ],
+};
+
+export const PEN_FAMILY_SCHEMA = {
+  root: 'PenFamilies',
+  fields: [
+    { paths: ['EntityId', 'FamilyId'], type: STRING, required: true },
+    { paths: ['FamilyName'], type: STRING, required: true },
+  ],
+};
+
+export const TABLET_FAMILY_SCHEMA = {
+  root: 'TabletFamilies',
+  fields: [
+    { paths: ['EntityId', 'FamilyId'], type: STRING, required: true },
+    { paths: ['FamilyName'], type: STRING, required: true },
+  ],
+};
+
+// An entry names its pens directly and/or by family, and likewise its tablets.
+export const PEN_COMPAT_SCHEMA = {
+  root: 'PenCompat',
+  fields: [
+    { paths: ['PenId'], type: STRING },
+    { paths: ['PenFamilyIds'], type: ['array'], items: STRING },
+    { paths: ['TabletIds'], type: ['array'], items: STRING },
+    { paths: ['TabletFamilyIds'], type: ['array'], items: STRING },
+  ],
+  anyOf: [
+    ['PenId', 'PenFamilyIds'],
+    ['TabletIds', 'TabletFamilyIds'],
+  ],
+};
+
+function getPath(record, path) {
+  let value = record;
+  for (const part of path.split('.')) {
+    if (value === null || typeof value !== 'object') return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === ''
+    || (Array.isArray(value) && value.length === 0);
+}
+
+function validateRecord(record, fields, anyOf, report) {
+  let valid = true;
+
+  for (const group of anyOf || []) {
+    if (group.every((path) => isEmpty(getPath(record, path)))) {
+      report(group.join('|'), 'at least one of these fields is required');
+      valid = false;
+    }
+  }
+
+  for (const field of fields) {
+    const path = field.paths.find((p) => getPath(record, p) !== undefined) ?? field.paths[0];
+    const value = getPath(record, path);
+    const label = field.paths.join('|');
+
+    if (isEmpty(value)) {
+      if (field.required) {
+        report(label, value === undefined ? 'missing required field' : 'required field is empty');
+        valid = false;
+      }
+      continue;
+    }
+
+    const actualType = typeOf(value);
+    if (!field.type.includes(actualType)) {
+      report(path, `expected ${field.type.join(' or ')}, got ${actualType}`);
+      // The generator reads required and anyOf fields without further checks.
+      if (field.required || (anyOf || []).some((group) => group.includes(path))) valid = false;
+      continue;
+    }
+
+    if (field.items) {
+      value.forEach((item, i) => {
+        if (!field.items.includes(typeOf(item)) || item === '') {
+          report(`${path}[${i}]`, `expected non-empty ${field.items.join(' or ')}, got ${JSON.stringify(item)}`);
+          valid = false;
+        }
+      });
+    }
+  }
+
+  return valid;
+}
+
+/**
+ * Validates a parsed source file against a schema.
+ * @param {string} file - Path used in reported issues.
+ * @param {any} data - Parsed JSON content.
+ * @param {Object} schema - One of the *_SCHEMA declarations above.
+ * @returns {{records: Object[], indexes: number[], issues: {severity: string, file: string, index: number|null, field: string, message: string}[]}}
+ *   `records` only contains entries whose required fields are valid; `indexes` holds
+ *   each record's position in the source file.
+ */
+export function validateFile(file, data, schema) {
+  const issues = [];
+  const records = [];
+  const indexes = [];
+
+  const rootValue = data?.[schema.root];
+  if (!Array.isArray(rootValue)) {
+    issues.push({
+      severity: 'error',
+      file,
+      index: null,
+      field: schema.root,
+      message: rootValue === undefined ? 'missing top-level array' : `expected array, got ${typeOf(rootValue)}`,
+    });
+    return { records, indexes, issues };
+  }
+
+  rootValue.forEach((record, index) => {
+    const report = (field, message) => {
+      issues.push({ severity: 'error', file, index, field, message });
+    };
+
+    if (typeOf(record) !== 'object') {
+      report('', `expected object, got ${typeOf(record)}`);
+      return;
+    }
+
+    const fields = schema.variants
+      ? schema.variants.find((v) => v.matches(record)).fields
+      : schema.fields;
+
+    if (validateRecord(record, fields, schema.anyOf, report)) {
+      records.push(record);
+      indexes.push(index);
+    }
+  });
+
+  return { records, indexes, issues };
+}
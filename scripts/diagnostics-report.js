@@ -0,0 +1,115 @@
+/**
+ * Threshold checks and report formats for the build-time diagnostics
+ * written by generate-data.js.
+ */
+
+/**
+ * The checks in the `summary` of diagnostics.json: those of computeDiagnostics
+ * (src/lib/compat-pairs.js) plus the validation and override counts.
+ */
+export const DIAGNOSTIC_CHECKS = [
+  'missingTabletDefs',
+  'missingPenDefs',
+  'pensWithoutTablets',
+  'tabletsWithoutPens',
+  'duplicatePairs',
+  'unknownPenFamilies',
+  'emptyPenFamilies',
+  'unknownTabletFamilies',
+  'emptyTabletFamilies',
+  'validationErrors',
+  'validationWarnings',
+  'overrideConflicts',
+];
+
+/**
+ * Parses `check=max` pairs (e.g. `missingTabletDefs=0`) into { check: max }.
+ * @param {string[]} values
+ * @throws {Error} for a malformed value or a check not in DIAGNOSTIC_CHECKS
+ */
+export function parseThresholds(values) {
+  const thresholds = {};
+  for (const value of values) {
+    const match = /^([A-Za-z]+)=(\d+)$/.exec(value);
+    if (!match) {
+      throw new Error(`Invalid threshold '${value}', expected <check>=<max count>`);
+    }
+    if (!DIAGNOSTIC_CHECKS.includes(match[1])) {
+      throw new Error(`Unknown diagnostics check '${match[1]}'. Known checks: ${DIAGNOSTIC_CHECKS.join(', ')}`);
+    }
+    thresholds[match[1]] = Number(match[2]);
+  }
+  return thresholds;
+}
+
+/**
+ * Returns the checks whose count exceeds the configured maximum.
+ * @param {Record<string, number>} summary
+ * @param {Record<string, number>} thresholds
+ * @returns {{check: string, count: number, max: number}[]}
+ */
+export function findThresholdBreaches(summary, thresholds) {
+  const breaches = [];
+  for (const [check, max] of Object.entries(thresholds)) {
+    if (!(check in summary)) {
+      throw new Error(`Unknown diagnostics check '${check}'. Known checks: ${Object.keys(summary).join(', ')}`);
+    }
+    if (summary[check] > max) {
+      breaches.push({ check, count: summary[check], max });
+    }
+  }
+  return breaches;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function describeFinding(finding) {
+  if (typeof finding !== 'object') return String(finding);
+  return JSON.stringify(finding);
+}
+
+/**
+ * Renders the diagnostics report as JUnit XML: one test case per check,
+ * failing when the check breaches its threshold.
+ * @param {Object} report - The object written to diagnostics.json.
+ * @param {Record<string, number>} thresholds
+ */
+export function toJUnitXml(report, thresholds) {
+  const findingsByCheck = {
+    ...report.diagnostics,
+    validationErrors: [],
+    validationWarnings: [],
+    overrideConflicts: report.overrides?.conflicts || [],
+  };
+  report.validation.forEach((issue) => {
+    const check = issue.severity === 'error' ? 'validationErrors' : 'validationWarnings';
+    findingsByCheck[check].push(issue);
+  });
+
+  const checks = Object.keys(report.summary);
+  const breaches = new Map(findThresholdBreaches(report.summary, thresholds).map((b) => [b.check, b]));
+
+  const cases = checks.map((check) => {
+    const findings = (findingsByCheck[check] || []).map(describeFinding).join('\n');
+    const breach = breaches.get(check);
+    const failure = breach
+      ? `\n    <failure message="${escapeXml(`${breach.count} findings, maximum is ${breach.max}`)}"/>`
+      : '';
+    const output = findings ? `\n    <system-out>${escapeXml(findings)}</system-out>` : '';
+    return `  <testcase classname="drawtab-data" name="${escapeXml(check)}">${failure}${output}\n  </testcase>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuite name="drawtab-data-diagnostics" tests="${checks.length}" failures="${breaches.size}" timestamp="${escapeXml(report.generatedAtIso)}">`,
+    ...cases,
+    '</testsuite>',
+    '',
+  ].join('\n');
+}
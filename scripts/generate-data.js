@@ -1,12 +1,78 @@
 /**
- * Generates the three JSON files in static/data/ from DrawTabData submodule.
- * Loads all brands (Wacom, Huion, XP-Pen, Ugee, Xencelabs, Samsung).
- * Run: node scripts/generate-data.js
+ * Generates the compatibility data in static/data/ from DrawTabData submodule, in the compact
+ * format described in src/lib/data-format.js: manifest.json pointing at a content-hashed
+ * core file and, with --chunks, per-brand pair chunks.
+ * Also writes static/data/diagnostics.json with the data-quality checks shown on /log/
+ * static/data/search-index.json for the list pages' search box, and
+ * static/data/changelog.json, the history of changes between published revisions, a dated
+ * snapshot of the data in static/data/snapshots/ whenever it changes.
+ * Loads every brand that has files under data-repo/data/ (or the overrides), named and ordered
+ * by the brand registry (src/lib/brands.js, with details from scripts/brands.json).
+ * Every source file is validated against the schemas in data-schema.js;
+ * invalid records are reported and skipped.
+ * Local overrides (data-overrides/, see data-overrides.js) are merged over the source files;
+ * overridden records carry an `override` mark and conflicts are reported.
+ * Run: node scripts/generate-data.js [--strict] [--threshold <check>=<max>]... [--report <file>] [--previous <dir|url>] [--chunks] [--overrides <dir>]
+ *   --strict     exit non-zero (without writing output) if any validation error is found
+ *   --threshold  exit non-zero if a diagnostics check has more than <max> findings (repeatable)
+ *   --report     also write the diagnostics to <file>; JUnit XML if it ends in .xml, JSON otherwise
+ *   --previous   where the previously published data/ lives, to diff against and to take the
+ *                changelog and snapshots from: a directory or the deployed site's .../data URL
+ *                (default: $PREVIOUS_DATA_URL, else static/data, i.e. the last local run). Set
+ *                explicitly, it must be readable, or the build fails rather than publish an empty
+ *                history; `--previous none` starts a new changelog
+ *   --chunks     split the pairs into one file per tablet brand, fetched only when a page needs them
+ *   --overrides  the local overrides directory (default: data-overrides, skipped if missing)
  */
 
-import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { readFileSync, writeFileSync, mkdirSync, existsSync, copyFileSync, readdirSync, rmSync } from 'fs';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+import {
+  PEN_SCHEMA,
+  TABLET_SCHEMA,
+  PEN_FAMILY_SCHEMA,
+  TABLET_FAMILY_SCHEMA,
+  PEN_COMPAT_SCHEMA,
+  validateFile,
+} from './data-schema.js';
+import { parseThresholds, findThresholdBreaches, toJUnitXml } from './diagnostics-report.js';
+import { OVERRIDES_DIR, mergeOverrides } from './data-overrides.js';
+import { PEN_FIELDS, TABLET_FIELDS, extractAttributes } from '../src/lib/device-fields.js';
+import { buildFamilyMembers, expandCompatRows, computeDiagnostics, summarizeDiagnostics, formatIssue } from '../src/lib/compat-pairs.js';
+import { buildSearchIndex } from '../src/lib/fuzzy-search.js';
+import { diffDataRevisions, hasChanges, countChanges } from '../src/lib/data-changes.js';
+import { snapshotFiles, isSnapshotKey } from '../src/lib/snapshots.js';
+import { DATA_FORMAT, MANIFEST_FILE, encodeCompatibilityData, coreToRawRevision } from '../src/lib/data-format.js';
+import { buildBrandRegistry } from '../src/lib/brands.js';
 
-mkdirSync('static/data', { recursive: true });
+// Values of `--name value` / `--name=value`, in order
+function getArgValues(name) {
+  const args = process.argv.slice(2);
+  const values = [];
+  args.forEach((arg, i) => {
+    if (arg === name && i + 1 < args.length) values.push(args[i + 1]);
+    else if (arg.startsWith(`${name}=`)) values.push(arg.slice(name.length + 1));
+  });
+  return values;
+}
+
+const STRICT = process.argv.includes('--strict');
+let THRESHOLDS;
+try {
+  THRESHOLDS = parseThresholds(getArgValues('--threshold'));
+} catch (err) {
+  console.error(`--threshold: ${err.message}`);
+  process.exit(1);
+}
+const REPORT_PATH = getArgValues('--report').pop();
+const PREVIOUS_SOURCE = getArgValues('--previous').pop() || process.env.PREVIOUS_DATA_URL || '';
+// An explicitly configured source holds the published history, so failing to read it is an error.
+const PREVIOUS_REQUIRED = PREVIOUS_SOURCE !== '' && PREVIOUS_SOURCE !== 'none';
+const PREVIOUS_DATA = PREVIOUS_SOURCE === 'none' ? null : PREVIOUS_SOURCE || 'static/data';
+const CHUNKS = process.argv.includes('--chunks');
+const OVERRIDES = getArgValues('--overrides').pop() || OVERRIDES_DIR;
 
 const DATA_DIR = 'data-repo/data';
 
@@ -17,37 +83,97 @@ function loadJSON(path) {
   return JSON.parse(text);
 }
 
-function tryLoadJSON(path) {
-  if (!existsSync(path)) return null;
-  return loadJSON(path);
+const issues = [];
+
+/**
+ * Loads a source file and returns only the records that pass schema validation,
+ * with each record's index in the file.
+ * A missing file is a warning (not every brand has every file); unreadable JSON is an error.
+ * @returns {{records: Object[], indexes: number[]} | null} null when the file does not exist
+ */
+function loadValidated(path, schema) {
+  if (!existsSync(path)) {
+    issues.push({ severity: 'warning', file: path, index: null, field: '', message: 'file not found' });
+    return null;
+  }
+
+  let data;
+  try {
+    data = loadJSON(path);
+  } catch (err) {
+    issues.push({ severity: 'error', file: path, index: null, field: '', message: `could not parse JSON: ${err.message}` });
+    return { records: [], indexes: [] };
+  }
+
+  const { records, indexes, issues: fileIssues } = validateFile(path, data, schema);
+  issues.push(...fileIssues);
+  return { records, indexes };
 }
 
-// --- Brand configuration ---
-// Matches BRAND_NAMES from data-repo/lib/drawtab-loader.ts
-const BRAND_DISPLAY_NAMES = {
-  APPLE: "Apple", ASUS: "Asus", DIGIDRAW: "DigiDraw", GAOMON: "Gaomon",
-  HUION: "Huion", SAMSUNG: "Samsung", STAEDTLER: "Staedtler",
-  UGEE: "Ugee", WACOM: "Wacom", XENCELABS: "Xencelabs", XPPEN: "XP-Pen",
+// Source files by kind: <dir>/<PREFIX>-<dir>.json in both the data and the overrides directory.
+const SOURCE_KINDS = {
+  pens: { dir: 'pens', schema: PEN_SCHEMA, label: 'pen', idOf: (p) => p.PenId },
+  penFamilies: { dir: 'pen-families', schema: PEN_FAMILY_SCHEMA, label: 'pen family', idOf: (f) => f.EntityId || f.FamilyId },
+  tablets: { dir: 'tablets', schema: TABLET_SCHEMA, label: 'tablet', idOf: (t) => (t.Model ? t.Model.Id : t.ModelId) },
+  tabletFamilies: { dir: 'tablet-families', schema: TABLET_FAMILY_SCHEMA, label: 'tablet family', idOf: (f) => f.EntityId || f.FamilyId },
+  compat: { dir: 'pen-compat', schema: PEN_COMPAT_SCHEMA, label: 'compat entry' },
 };
 
-function brandDisplayName(prefix) {
-  return BRAND_DISPLAY_NAMES[prefix] ?? prefix;
-}
-
-// File prefix -> brand id used in the app
-const BRANDS = [
-  { prefix: 'APPLE',     brandId: 'apple' },
-  { prefix: 'ASUS',      brandId: 'asus' },
-  { prefix: 'DIGIDRAW',  brandId: 'digidraw' },
-  { prefix: 'GAOMON',    brandId: 'gaomon' },
-  { prefix: 'HUION',     brandId: 'huion' },
-  { prefix: 'SAMSUNG',   brandId: 'samsung' },
-  { prefix: 'STAEDTLER', brandId: 'staedtler' },
-  { prefix: 'UGEE',      brandId: 'ugee' },
-  { prefix: 'WACOM',     brandId: 'wacom' },
-  { prefix: 'XENCELABS', brandId: 'xencelabs' },
-  { prefix: 'XPPEN',     brandId: 'xppen' },
-];
+const overrideRecords = [];
+const overrideConflicts = [];
+const overrideFiles = new Set();
+
+if (getArgValues('--overrides').length > 0 && !existsSync(OVERRIDES)) {
+  issues.push({ severity: 'error', file: OVERRIDES, index: null, field: '', message: 'overrides directory not found' });
+}
+
+/**
+ * Loads a source file of one kind and brand and merges its override file, if any.
+ * @returns {{file: string, overrideFile: string, entries: {record: Object, index: number, override: string}[]} | null}
+ *   null when neither file exists
+ */
+function loadSource(kind, prefix, brandId) {
+  const { dir, schema, label, idOf } = SOURCE_KINDS[kind];
+  const file = `${prefix}-${dir}.json`;
+  const overrideFile = `${OVERRIDES}/${dir}/${file}`;
+  const source = loadValidated(`${DATA_DIR}/${dir}/${file}`, schema);
+  const sourceEntries = () => source.records.map((record, i) => ({ record, index: source.indexes[i], override: '' }));
+  if (!existsSync(overrideFile)) return source && { file, overrideFile, entries: sourceEntries() };
+
+  overrideFiles.add(overrideFile);
+  let data;
+  try {
+    data = loadJSON(overrideFile);
+  } catch (err) {
+    issues.push({ severity: 'error', file: overrideFile, index: null, field: '', message: `could not parse JSON: ${err.message}` });
+    return source && { file, overrideFile, entries: sourceEntries() };
+  }
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    issues.push({ severity: 'error', file: overrideFile, index: null, field: '', message: 'expected an object' });
+    return source && { file, overrideFile, entries: sourceEntries() };
+  }
+
+  const merged = mergeOverrides(source, data, { file: overrideFile, schema, idOf });
+  issues.push(...merged.issues);
+  overrideConflicts.push(...merged.conflicts);
+  merged.applied.forEach(({ id, action }) => {
+    overrideRecords.push({
+      kind: label,
+      brand: brandId,
+      // Compat entries are numbered within the file they come from.
+      id: idOf ? id : `${action === 'added' ? overrideFile : file} entry #${id}`,
+      action,
+      file: overrideFile,
+    });
+  });
+  return { file, overrideFile, entries: merged.entries };
+}
+
+// Marks a generated def (or compat source) as overridden.
+function withOverride(target, override) {
+  if (override) target.override = override;
+  return target;
+}
 
 const allPenFamilyDefs = [];
 const allPenDefs = [];
@@ -55,104 +181,437 @@ const allTabletFamilyDefs = [];
 const allTabletDefs = [];
 const allCompatRows = [];
 
-for (const { prefix, brandId } of BRANDS) {
+// --- Brands ---
+
+// Every <PREFIX>-<dir>.json file in the data and overrides directories names a brand.
+function discoverBrandPrefixes() {
+  const prefixes = new Set();
+  for (const { dir } of Object.values(SOURCE_KINDS)) {
+    const pattern = new RegExp(`^([A-Z0-9]+)-${dir}\\.json$`);
+    for (const root of [DATA_DIR, OVERRIDES]) {
+      if (!existsSync(`${root}/${dir}`)) continue;
+      for (const name of readdirSync(`${root}/${dir}`).sort()) {
+        const match = pattern.exec(name);
+        if (match) prefixes.add(match[1]);
+        else if (root === DATA_DIR && name.endsWith('.json')) {
+          issues.push({ severity: 'warning', file: `${root}/${dir}/${name}`, index: null, field: '', message: `skipped: expected <BRAND>-${dir}.json` });
+        }
+      }
+    }
+  }
+  return [...prefixes];
+}
+
+// Brand details by file prefix, from scripts/brands.json and the overrides' brands.json.
+function loadBrandConfig() {
+  const config = loadJSON(fileURLToPath(new URL('./brands.json', import.meta.url)));
+  const overridePath = `${OVERRIDES}/brands.json`;
+  if (existsSync(overridePath)) {
+    for (const [prefix, details] of Object.entries(loadJSON(overridePath))) {
+      config[prefix] = { ...config[prefix], ...details };
+    }
+  }
+  return config;
+}
+
+const brandConfig = loadBrandConfig();
+const brandRegistry = buildBrandRegistry(discoverBrandPrefixes(), brandConfig);
+for (const { prefix, name } of brandRegistry) {
+  if (!brandConfig[prefix]?.name) {
+    issues.push({ severity: 'warning', file: 'scripts/brands.json', index: null, field: prefix, message: `no entry for brand ${prefix}; showing it as "${name}"` });
+  }
+}
+// Logos are paths under static/ (full URLs are not checked).
+const STATIC_DIR = fileURLToPath(new URL('../static/', import.meta.url));
+for (const { prefix, logo } of brandRegistry) {
+  if (logo && !/^[a-z][a-z+.-]*:/i.test(logo) && !existsSync(`${STATIC_DIR}${logo}`)) {
+    issues.push({ severity: 'warning', file: 'scripts/brands.json', index: null, field: prefix, message: `logo ${logo} not found in static/` });
+  }
+}
+if (brandRegistry.length === 0) {
+  issues.push({ severity: 'error', file: DATA_DIR, index: null, field: '', message: 'no brand data files found' });
+}
+
+for (const { prefix, id: brandId, name: brandName } of brandRegistry) {
+  const sources = {};
+  for (const kind of Object.keys(SOURCE_KINDS)) sources[kind] = loadSource(kind, prefix, brandId);
+
   // --- Pens ---
-  const pensData = tryLoadJSON(`${DATA_DIR}/pens/${prefix}-pens.json`);
-  if (pensData?.Pens) {
-    const bdn = brandDisplayName(prefix);
-    for (const p of pensData.Pens) {
+  if (sources.pens) {
+    for (const { record: p, override } of sources.pens.entries) {
       // FullName logic from data-repo pen-fields.ts
       const penFullName = p.PenName === p.PenId
-        ? `${bdn} ${p.PenId}`
-        : `${bdn} ${p.PenName} (${p.PenId})`;
-      allPenDefs.push({
+        ? `${brandName} ${p.PenId}`
+        : `${brandName} ${p.PenName} (${p.PenId})`;
+      allPenDefs.push(withOverride({
         brand: brandId,
         familyid: p.PenFamily || "",
         id: p.PenId,
         name: p.PenName,
         fullname: penFullName,
         year: p.PenYear || "",
-      });
+        attributes: extractAttributes(p, PEN_FIELDS),
+      }, override));
     }
   }
 
   // --- Pen families ---
-  const penFamiliesData = tryLoadJSON(`${DATA_DIR}/pen-families/${prefix}-pen-families.json`);
-  if (penFamiliesData?.PenFamilies) {
-    for (const f of penFamiliesData.PenFamilies) {
-      allPenFamilyDefs.push({
+  if (sources.penFamilies) {
+    for (const { record: f, override } of sources.penFamilies.entries) {
+      allPenFamilyDefs.push(withOverride({
         brand: brandId,
         id: f.EntityId || f.FamilyId,
         name: f.FamilyName,
-      });
+      }, override));
     }
   }
 
   // --- Tablets ---
-  const tabletsData = tryLoadJSON(`${DATA_DIR}/tablets/${prefix}-tablets.json`);
-  if (tabletsData?.DrawingTablets) {
-    const bdn = brandDisplayName(prefix);
-    for (const t of tabletsData.DrawingTablets) {
+  if (sources.tablets) {
+    for (const { record: t, override } of sources.tablets.entries) {
       const id = t.Model ? t.Model.Id : t.ModelId;
       const name = t.Model ? t.Model.Name : t.ModelName;
       // FullName logic from data-repo tablet-fields.ts
-      const tabletFullName = `${bdn} ${name} (${id})`;
-      allTabletDefs.push({
+      const tabletFullName = `${brandName} ${name} (${id})`;
+      allTabletDefs.push(withOverride({
         brand: brandId,
         familyid: (t.Model ? t.Model.Family : t.ModelFamily) || "",
         id,
         name,
         fullname: tabletFullName,
         type: ((t.Model ? t.Model.Type : t.ModelType) || "pentablet").toLowerCase(),
-      });
+        attributes: extractAttributes(t, TABLET_FIELDS),
+      }, override));
     }
   }
 
   // --- Tablet families ---
-  const tabletFamiliesData = tryLoadJSON(`${DATA_DIR}/tablet-families/${prefix}-tablet-families.json`);
-  if (tabletFamiliesData?.TabletFamilies) {
-    for (const f of tabletFamiliesData.TabletFamilies) {
-      allTabletFamilyDefs.push({
+  if (sources.tabletFamilies) {
+    for (const { record: f, override } of sources.tabletFamilies.entries) {
+      allTabletFamilyDefs.push(withOverride({
         brand: brandId,
         id: f.EntityId || f.FamilyId,
         name: f.FamilyName,
-      });
+      }, override));
     }
   }
 
   // --- Pen compatibility ---
-  const compatData = tryLoadJSON(`${DATA_DIR}/pen-compat/${prefix}-pen-compat.json`);
-  if (compatData?.PenCompat) {
-    for (const entry of compatData.PenCompat) {
-      allCompatRows.push({
-        tablets: entry.TabletIds,
-        pens: [entry.PenId],
-      });
+  if (sources.compat) {
+    for (const { record: entry, index, override } of sources.compat.entries) {
+      // Family references stay unexpanded; the loader expands them against the current defs.
+      const row = {
+        tablets: entry.TabletIds || [],
+        pens: entry.PenId ? [entry.PenId] : [],
+      };
+      if (entry.PenFamilyIds?.length) row.penfamilies = entry.PenFamilyIds;
+      if (entry.TabletFamilyIds?.length) row.tabletfamilies = entry.TabletFamilyIds;
+      // Added entries are numbered within the override file.
+      const file = override === 'added' ? sources.compat.overrideFile : sources.compat.file;
+      row.source = withOverride({ file, index }, override);
+      allCompatRows.push(row);
+    }
+  }
+}
+
+// Override files whose names do not follow the source file names are not merged.
+for (const { dir } of Object.values(SOURCE_KINDS)) {
+  if (!existsSync(`${OVERRIDES}/${dir}`)) continue;
+  for (const name of readdirSync(`${OVERRIDES}/${dir}`).sort()) {
+    const file = `${OVERRIDES}/${dir}/${name}`;
+    if (name.endsWith('.json') && !overrideFiles.has(file)) {
+      overrideConflicts.push({ severity: 'warning', file, index: null, field: '', message: `not merged: expected <BRAND>-${dir}.json` });
+    }
+  }
+}
+
+// --- Validation report ---
+
+for (const [label, list] of [['pens', allPenDefs], ['tablets', allTabletDefs], ['compat rows', allCompatRows]]) {
+  if (list.length === 0) {
+    issues.push({ severity: 'error', file: DATA_DIR, index: null, field: '', message: `no valid ${label} found across all brands` });
+  }
+}
+
+const errors = issues.filter((i) => i.severity === 'error');
+const warnings = issues.filter((i) => i.severity === 'warning');
+
+if (overrideRecords.length > 0) {
+  const counts = {};
+  overrideRecords.forEach(({ action }) => { counts[action] = (counts[action] || 0) + 1; });
+  console.log(`Local overrides from ${OVERRIDES}: ${Object.entries(counts).map(([action, count]) => `${action}=${count}`).join(', ')}`);
+}
+
+if (overrideConflicts.length > 0) {
+  console.warn(`Override conflicts (${overrideConflicts.length}):`);
+  overrideConflicts.forEach((i) => console.warn(`  - ${formatIssue(i)}`));
+}
+
+if (warnings.length > 0) {
+  console.warn(`Validation warnings (${warnings.length}):`);
+  warnings.forEach((i) => console.warn(`  - ${formatIssue(i)}`));
+}
+
+if (errors.length > 0) {
+  console.error(`Validation errors (${errors.length}):`);
+  errors.forEach((i) => console.error(`  - ${formatIssue(i)}`));
+
+  if (STRICT) {
+    console.error('\n--strict: refusing to write static/data/ with validation errors.');
+    process.exit(1);
+  }
+  console.warn('Invalid records were skipped. Run with --strict to fail on errors.\n');
+}
+
+// --- Diagnostics ---
+
+const generatedAtIso = new Date().toISOString();
+
+const { pairs, pairOccurrences, unresolvedPenFamilies, unresolvedTabletFamilies } = expandCompatRows(
+  allCompatRows,
+  buildFamilyMembers(allPenDefs.map(p => ({ id: p.id, familyId: p.familyid }))),
+  buildFamilyMembers(allTabletDefs.map(t => ({ id: t.id, familyId: t.familyid })))
+);
+const diagnostics = computeDiagnostics({
+  pairs,
+  pairOccurrences,
+  unresolvedPenFamilies,
+  unresolvedTabletFamilies,
+  tabletIds: allTabletDefs.map(t => t.id),
+  penIds: allPenDefs.map(p => p.id),
+  penFamilyIds: allPenFamilyDefs.map(f => f.id),
+  tabletFamilyIds: allTabletFamilyDefs.map(f => f.id),
+});
+const diagnosticsReport = {
+  generatedAtIso,
+  summary: {
+    ...summarizeDiagnostics(diagnostics),
+    validationErrors: errors.length,
+    validationWarnings: warnings.length,
+    overrideConflicts: overrideConflicts.length,
+  },
+  diagnostics,
+  validation: issues,
+  overrides: { dir: OVERRIDES, records: overrideRecords, conflicts: overrideConflicts },
+};
+
+if (REPORT_PATH) {
+  const reportText = REPORT_PATH.endsWith('.xml')
+    ? toJUnitXml(diagnosticsReport, THRESHOLDS)
+    : JSON.stringify(diagnosticsReport, null, 4);
+  writeFileSync(REPORT_PATH, reportText);
+  console.log(`Diagnostics report written to ${REPORT_PATH}`);
+}
+
+// Checked before anything under static/data/ is written, so a rejected run leaves no changelog
+// entry or snapshot behind for the next run to diff against.
+const breaches = findThresholdBreaches(diagnosticsReport.summary, THRESHOLDS);
+if (breaches.length > 0) {
+  console.error('\nDiagnostics thresholds exceeded:');
+  breaches.forEach(({ check, count, max }) => console.error(`  - ${check}: ${count} (maximum ${max})`));
+  console.error('static/data/ was not written.');
+  process.exit(1);
+}
+
+// --- Previously published data (read before static/data/ is overwritten) ---
+
+// A file from the previous revision, or null if it was never published.
+async function loadPrevious(name) {
+  if (/^https?:\/\//.test(PREVIOUS_DATA)) {
+    const res = await fetch(`${PREVIOUS_DATA.replace(/\/$/, '')}/${name}`);
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+    return res.json();
+  }
+  const path = `${PREVIOUS_DATA}/${name}`;
+  return existsSync(path) ? loadJSON(path) : null;
+}
+
+// The previous definitions and rows, from its core file or, before the compact format, the
+// wacom-*.json files; null if there are none.
+async function loadPreviousRevision() {
+  const manifest = await loadPrevious(MANIFEST_FILE);
+  if (manifest) {
+    const core = await loadPrevious(manifest.core);
+    return core && coreToRawRevision(core);
+  }
+  const [pens, tablets, compat] = await Promise.all(
+    ['wacom-pens.json', 'wacom-tablets.json', 'wacom-pen-compat.json'].map(loadPrevious)
+  );
+  return pens && tablets && compat ? { pens, tablets, compat } : null;
+}
+
+const SNAPSHOTS_DIR = 'static/data/snapshots';
+
+// Whether a snapshot directory has all its files; older snapshots have no manifest.
+function hasSnapshotFiles(dir) {
+  const snapshotManifest = existsSync(`${dir}/${MANIFEST_FILE}`) ? loadJSON(`${dir}/${MANIFEST_FILE}`) : null;
+  return snapshotFiles(snapshotManifest).every((name) => existsSync(`${dir}/${name}`));
+}
+
+// Copies the files of the published snapshots that static/data/snapshots/ does not have yet
+// (all of them when the previous data is elsewhere). Only adds files, so it runs before any
+// output is written. A snapshot that cannot be copied fails the build when the previous data
+// is required, and is dropped otherwise.
+async function copyPreviousSnapshots(index) {
+  for (const snapshot of index?.snapshots || []) {
+    const dir = `${SNAPSHOTS_DIR}/${snapshot.key}`;
+    if (!isSnapshotKey(snapshot.key) || hasSnapshotFiles(dir)) continue;
+    try {
+      const names = snapshotFiles(await loadPrevious(`snapshots/${snapshot.key}/${MANIFEST_FILE}`));
+      const files = await Promise.all(names.map((name) => loadPrevious(`snapshots/${snapshot.key}/${name}`)));
+      if (files.includes(null)) throw new Error('files missing');
+      mkdirSync(dir, { recursive: true });
+      files.forEach((data, i) => writeFileSync(`${dir}/${names[i]}`, JSON.stringify(data)));
+    } catch (err) {
+      if (PREVIOUS_REQUIRED) throw new Error(`snapshot ${snapshot.key}: ${err.message}`);
+      console.warn(`Could not copy snapshot ${snapshot.key} from ${PREVIOUS_DATA} (${err.message}); dropping it.`);
     }
   }
 }
 
-// --- Write output files (keep same names for backward compat) ---
+let previous = null;
+if (PREVIOUS_DATA) {
+  try {
+    const [revision, changelog, snapshots] = await Promise.all([
+      loadPreviousRevision(),
+      loadPrevious('changelog.json'),
+      loadPrevious('snapshots/index.json'),
+    ]);
+    if (PREVIOUS_REQUIRED) {
+      const missing = Object.entries({ 'the data files': revision, 'changelog.json': changelog, 'snapshots/index.json': snapshots })
+        .filter(([, value]) => !value)
+        .map(([name]) => name);
+      if (missing.length > 0) throw new Error(`${missing.join(', ')} not found`);
+    }
+    await copyPreviousSnapshots(snapshots);
+    previous = { revision, changelog, snapshots };
+  } catch (err) {
+    // The changelog and the snapshots are carried over from here: publishing without them
+    // would drop the whole history.
+    if (PREVIOUS_REQUIRED) {
+      console.error(`Could not read the previous data from ${PREVIOUS_DATA} (${err.message}).`);
+      console.error('The data files were not written. Fix the source, or pass --previous none to start a new changelog.');
+      process.exit(1);
+    }
+    console.warn(`Could not read the previous data from ${PREVIOUS_DATA} (${err.message}); the changelog starts over.`);
+  }
+}
+
+// --- Write output files ---
+
+mkdirSync('static/data', { recursive: true });
+
+// Files of earlier runs: other hashes, and the uncompressed files of the old format.
+const STALE_DATA_FILE = /^(core\.[0-9a-f]+|pairs-.*\.[0-9a-f]+|wacom-(pens|tablets|pen-compat)|version)\.json$/;
+readdirSync('static/data').filter((name) => STALE_DATA_FILE.test(name)).forEach((name) => rmSync(`static/data/${name}`));
+
+function contentHash(...texts) {
+  const hash = createHash('sha256');
+  texts.forEach((text) => hash.update(text));
+  return hash.digest('hex').slice(0, 16);
+}
+
+// Writes `data` minified as <name>.<hash>.json and returns the file name.
+function writeHashed(name, data) {
+  const text = JSON.stringify(data);
+  const file = `${name}.${contentHash(text)}.json`;
+  writeFileSync(`static/data/${file}`, text);
+  return file;
+}
 
 const pensOutput = {
   penfamilydefs: allPenFamilyDefs,
   pendefs: allPenDefs,
 };
-writeFileSync('static/data/wacom-pens.json', JSON.stringify(pensOutput, null, 4));
-console.log(`wacom-pens.json: ${pensOutput.penfamilydefs.length} families, ${pensOutput.pendefs.length} pens`);
-
 const tabletsOutput = {
   tabletfamilydefs: allTabletFamilyDefs,
   tabletdefs: allTabletDefs,
 };
-writeFileSync('static/data/wacom-tablets.json', JSON.stringify(tabletsOutput, null, 4));
-console.log(`wacom-tablets.json: ${tabletsOutput.tabletfamilydefs.length} families, ${tabletsOutput.tabletdefs.length} tablets`);
-
 const compatOutput = {
   compatrows: allCompatRows,
 };
-writeFileSync('static/data/wacom-pen-compat.json', JSON.stringify(compatOutput, null, 4));
-console.log(`wacom-pen-compat.json: ${compatOutput.compatrows.length} compat rows`);
+const branddefs = brandRegistry.map(({ id, name, website, logo }) => ({ id, name, website, logo }));
+
+const encoded = encodeCompatibilityData({ branddefs, ...pensOutput, ...tabletsOutput, ...compatOutput }, { chunkByBrand: CHUNKS });
+const manifest = { format: DATA_FORMAT, hash: '', core: writeHashed('core', encoded.core) };
+console.log(`${manifest.core}: ${allPenFamilyDefs.length} pen families, ${allPenDefs.length} pens, ${allTabletFamilyDefs.length} tablet families, ${allTabletDefs.length} tablets, ${allCompatRows.length} compat rows${encoded.core.pairs ? `, ${encoded.core.pairs.length} pairs` : ''}`);
+if (CHUNKS) {
+  manifest.pairChunks = {};
+  for (const [brand, chunk] of Object.entries(encoded.chunks)) {
+    manifest.pairChunks[brand] = writeHashed(`pairs-${brand || 'unknown'}`, chunk);
+    console.log(`${manifest.pairChunks[brand]}: ${chunk.pairs.reduce((n, group) => n + group.length - 1, 0)} pairs`);
+  }
+}
+// Changes whenever any data file does; the offline update check compares it.
+manifest.hash = contentHash(manifest.core, ...Object.values(manifest.pairChunks || {}));
+writeFileSync(`static/data/${MANIFEST_FILE}`, JSON.stringify(manifest, null, 4));
+console.log(`${MANIFEST_FILE}: ${manifest.hash}`);
+
+// --- Search index ---
+
+const penFamilyNames = new Map(allPenFamilyDefs.map(f => [f.id, f.name]));
+const tabletFamilyNames = new Map(allTabletFamilyDefs.map(f => [f.id, f.name]));
+const searchIndex = buildSearchIndex({
+  pens: allPenDefs.map(p => ({ id: p.id, name: p.name, fullName: p.fullname, family: penFamilyNames.get(p.familyid) })),
+  tablets: allTabletDefs.map(t => ({ id: t.id, name: t.name, fullName: t.fullname, family: tabletFamilyNames.get(t.familyid) })),
+  penFamilies: allPenFamilyDefs.map(f => ({ id: f.id, name: f.name })),
+  tabletFamilies: allTabletFamilyDefs.map(f => ({ id: f.id, name: f.name })),
+});
+writeFileSync('static/data/search-index.json', JSON.stringify(searchIndex));
+console.log(`search-index.json: ${Object.entries(searchIndex).map(([list, entries]) => `${list}=${entries.length}`).join(', ')}`);
+
+writeFileSync('static/data/diagnostics.json', JSON.stringify(diagnosticsReport, null, 4));
+console.log(`diagnostics.json: ${Object.entries(diagnosticsReport.summary).map(([check, count]) => `${check}=${count}`).join(', ')}`);
+
+// --- Changelog ---
+
+function dataRevision() {
+  try {
+    return execFileSync('git', ['-C', 'data-repo', 'rev-parse', '--short', 'HEAD'], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return '';
+  }
+}
+
+const revision = dataRevision();
+const changelog = { entries: previous?.changelog?.entries || [] };
+let dataChanged = false;
+if (previous?.revision) {
+  const changes = diffDataRevisions(previous.revision, { pens: pensOutput, tablets: tabletsOutput, compat: compatOutput });
+  if (hasChanges(changes)) {
+    dataChanged = true;
+    changelog.entries.unshift({ date: generatedAtIso.slice(0, 10), generatedAtIso, dataRevision: revision, ...changes });
+    console.log(`Changes since the previous data: ${Object.entries(countChanges(changes)).filter(([, count]) => count > 0).map(([kind, count]) => `${kind}=${count}`).join(', ')}`);
+  }
+}
+writeFileSync('static/data/changelog.json', JSON.stringify(changelog, null, 4));
+console.log(`changelog.json: ${changelog.entries.length} entries`);
+
+// --- Snapshots ---
+
+const snapshotIndex = { snapshots: [] };
+
+// Keep the published snapshots whose files are here (see copyPreviousSnapshots).
+for (const snapshot of previous?.snapshots?.snapshots || []) {
+  if (isSnapshotKey(snapshot.key) && hasSnapshotFiles(`${SNAPSHOTS_DIR}/${snapshot.key}`)) {
+    snapshotIndex.snapshots.push(snapshot);
+  }
+}
+
+// A new snapshot when the data changed (or there is none yet); one per day, the latest wins.
+if (dataChanged || snapshotIndex.snapshots.length === 0) {
+  const key = generatedAtIso.slice(0, 10);
+  rmSync(`${SNAPSHOTS_DIR}/${key}`, { recursive: true, force: true });
+  mkdirSync(`${SNAPSHOTS_DIR}/${key}`, { recursive: true });
+  snapshotFiles(manifest).forEach((name) => copyFileSync(`static/data/${name}`, `${SNAPSHOTS_DIR}/${key}/${name}`));
+  snapshotIndex.snapshots = [
+    { key, date: key, generatedAtIso, dataRevision: revision },
+    ...snapshotIndex.snapshots.filter((snapshot) => snapshot.key !== key),
+  ];
+}
+writeFileSync(`${SNAPSHOTS_DIR}/index.json`, JSON.stringify(snapshotIndex, null, 4));
+console.log(`snapshots/index.json: ${snapshotIndex.snapshots.map((snapshot) => snapshot.key).join(', ')}`);
 
 // --- Summary by brand ---
 const brandPenCounts = {};
@@ -160,10 +619,10 @@ const brandTabletCounts = {};
 allPenDefs.forEach(p => { brandPenCounts[p.brand] = (brandPenCounts[p.brand] || 0) + 1; });
 allTabletDefs.forEach(t => { brandTabletCounts[t.brand] = (brandTabletCounts[t.brand] || 0) + 1; });
 console.log('\nBrand summary:');
-for (const { brandId } of BRANDS) {
-  const pens = brandPenCounts[brandId] || 0;
-  const tablets = brandTabletCounts[brandId] || 0;
-  if (pens || tablets) console.log(`  ${brandId}: ${pens} pens, ${tablets} tablets`);
+for (const { id, name } of brandRegistry) {
+  const pens = brandPenCounts[id] || 0;
+  const tablets = brandTabletCounts[id] || 0;
+  if (pens || tablets) console.log(`  ${name}: ${pens} pens, ${tablets} tablets`);
 }
 
 console.log('\nDone. Generated static/data/ from data-repo/.');
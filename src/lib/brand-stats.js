@@ -0,0 +1,75 @@
+/**
+ * Per-brand statistics for the /brands/ pages, computed from what getCompatibilityData returns
+ * (with the pairs of every tablet brand loaded). A pair counts for a brand when its tablet or
+ * its pen is that brand's; it is cross-brand when the pen's and the tablet's brands differ,
+ * e.g. a Wacom pen on a Samsung tablet. Pairs whose pen or tablet has no brand are not
+ * cross-brand.
+ */
+
+import { compareIds } from './compat-pairs.js';
+
+/**
+ * @param {Object} pair
+ * @param {{tabletDefs: Map, penDefs: Map}} data
+ */
+export function isCrossBrandPair(pair, data) {
+  const tabletBrand = data.tabletDefs.get(pair.tabletId)?.brand || '';
+  const penBrand = data.penDefs.get(pair.penId)?.brand || '';
+  return Boolean(tabletBrand && penBrand && tabletBrand !== penBrand);
+}
+
+// Sorted ids of the families in `familyBrands` (family id -> brand id) that belong to `brandId`.
+function familyIdsOf(familyBrands, brandId) {
+  return Array.from(familyBrands || [])
+    .filter(([, brand]) => brand === brandId)
+    .map(([id]) => id)
+    .sort(compareIds);
+}
+
+/**
+ * Everything the data holds about one brand.
+ * @param {Object} data - From getCompatibilityData.
+ * @param {string} brandId
+ * @returns {{id: string, tabletIds: string[], penIds: string[], tabletFamilyIds: string[], penFamilyIds: string[], pairCount: number, tabletsWithoutPens: string[], thirdPartyPenPairs: Object[], otherTabletPairs: Object[]}}
+ *   `thirdPartyPenPairs` are other brands' pens on this brand's tablets and `otherTabletPairs`
+ *   this brand's pens on other brands' tablets, grouped by tablet and by pen respectively.
+ */
+export function summarizeBrand(data, brandId) {
+  const tabletIds = data.tabletsByBrand.get(brandId) || [];
+  const penIds = data.pensByBrand.get(brandId) || [];
+
+  const tabletPairs = tabletIds.flatMap((id) => data.pairsByTablet.get(id) || []);
+  const penPairs = penIds.flatMap((id) => data.pairsByPen.get(id) || []);
+  const pairs = new Set([...tabletPairs, ...penPairs]);
+
+  return {
+    id: brandId,
+    tabletIds,
+    penIds,
+    tabletFamilyIds: familyIdsOf(data.tabletFamilyBrands, brandId),
+    penFamilyIds: familyIdsOf(data.penFamilyBrands, brandId),
+    pairCount: pairs.size,
+    tabletsWithoutPens: tabletIds.filter((id) => !data.pairsByTablet.get(id)?.length),
+    thirdPartyPenPairs: tabletPairs.filter((pair) => isCrossBrandPair(pair, data)),
+    otherTabletPairs: penPairs.filter((pair) => isCrossBrandPair(pair, data))
+  };
+}
+
+/**
+ * Number of cross-brand pairs for each combination of tablet brand and pen brand.
+ * @param {Object} data - From getCompatibilityData.
+ * @returns {{tabletBrand: string, penBrand: string, count: number}[]} Most pairs first.
+ */
+export function countCrossBrandPairs(data) {
+  const counts = new Map();
+  data.pairs.forEach((pair) => {
+    if (!isCrossBrandPair(pair, data)) return;
+    const tabletBrand = data.tabletDefs.get(pair.tabletId).brand;
+    const penBrand = data.penDefs.get(pair.penId).brand;
+    const key = `${tabletBrand}\n${penBrand}`;
+    if (!counts.has(key)) counts.set(key, { tabletBrand, penBrand, count: 0 });
+    counts.get(key).count += 1;
+  });
+  return Array.from(counts.values())
+    .sort((a, b) => b.count - a.count || a.tabletBrand.localeCompare(b.tabletBrand) || a.penBrand.localeCompare(b.penBrand));
+}
@@ -0,0 +1,96 @@
+/**
+ * The brand registry: id, display name, website and logo of every brand in the data.
+ * generate-data.js discovers the brands from the DrawTabData file names (`<PREFIX>-pens.json`,
+ * ...), takes their details from scripts/brands.json and writes the registry into the core
+ * file as `branddefs`, in display order; the loader turns it into `data.brandDefs`.
+ * Shared by the generate script and the app, so it must stay free of SvelteKit imports.
+ */
+
+/**
+ * Display name for a brand with no configured name, e.g. "ACME" or "acme" -> "Acme".
+ * @param {string} id - Brand id or file prefix.
+ */
+export function defaultBrandName(id) {
+  return id.charAt(0).toUpperCase() + id.slice(1).toLowerCase();
+}
+
+/**
+ * Builds the registry for the discovered file prefixes.
+ * @param {string[]} prefixes - e.g. ['WACOM', 'XPPEN'].
+ * @param {Object<string, {name?: string, website?: string, logo?: string}>} config - Details by prefix.
+ * @returns {{id: string, prefix: string, name: string, website: string, logo: string}[]} Sorted by name.
+ */
+export function buildBrandRegistry(prefixes, config) {
+  return [...new Set(prefixes)]
+    .map((prefix) => ({
+      id: prefix.toLowerCase(),
+      prefix,
+      name: config[prefix]?.name || defaultBrandName(prefix),
+      website: config[prefix]?.website || '',
+      logo: config[prefix]?.logo || ''
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }) || a.id.localeCompare(b.id));
+}
+
+/**
+ * The `brandDefs` Map (id -> {name, website, logo}) in registry order. Brands used by the
+ * definitions but missing from the registry (data written before it existed) are added
+ * after it with a default name.
+ * @param {{id: string, name: string, website?: string, logo?: string}[]} branddefs
+ * @param {Iterable<string>} usedIds - Brand ids of the pen, tablet and family definitions.
+ * @returns {Map<string, {name: string, website: string, logo: string}>}
+ */
+export function parseBrandDefs(branddefs, usedIds) {
+  const brandDefs = new Map(branddefs.map((def) => [def.id, {
+    name: def.name || defaultBrandName(def.id),
+    website: def.website || '',
+    logo: def.logo || ''
+  }]));
+  const missing = [...new Set(usedIds)].filter((id) => id && !brandDefs.has(id)).sort();
+  missing.forEach((id) => brandDefs.set(id, { name: defaultBrandName(id), website: '', logo: '' }));
+  return brandDefs;
+}
+
+/**
+ * @param {Map<string, {name: string}>} brandDefs
+ * @param {string} brandId
+ */
+export function brandName(brandDefs, brandId) {
+  return brandDefs?.get(brandId)?.name || (brandId ? defaultBrandName(brandId) : 'Unknown');
+}
+
+/**
+ * URL of a brand logo. Logos in scripts/brands.json are paths under static/, e.g.
+ * "brand-logos/wacom.svg", so they need the app's base path; full URLs are used as they are.
+ * @param {string} base - The app's base path.
+ * @param {string} logo - From the brand registry.
+ * @returns {string} '' when the brand has no logo
+ */
+export function brandLogoSrc(base, logo) {
+  if (!logo) return '';
+  if (/^[a-z][a-z+.-]*:/i.test(logo)) return logo;
+  return `${base}/${logo.replace(/^\/+/, '')}`;
+}
+
+/**
+ * Compares brand ids in registry order; ids not in the registry sort last.
+ * @param {Map<string, Object>} brandDefs
+ * @returns {(a: string, b: string) => number}
+ */
+export function compareBrands(brandDefs) {
+  const order = new Map(Array.from(brandDefs.keys(), (id, i) => [id, i]));
+  return (a, b) => (order.get(a) ?? Infinity) - (order.get(b) ?? Infinity) || a.localeCompare(b);
+}
+
+/**
+ * Options for a brand filter: the brands in `brandIds`, in registry order.
+ * @param {Iterable<string>} brandIds - May contain '' and duplicates.
+ * @param {Map<string, {name: string}>} brandDefs
+ * @returns {{id: string, name: string}[]}
+ */
+export function brandOptions(brandIds, brandDefs) {
+  return [...new Set(brandIds)]
+    .filter(Boolean)
+    .sort(compareBrands(brandDefs))
+    .map((id) => ({ id, name: brandName(brandDefs, id) }));
+}
@@ -0,0 +1,58 @@
+import { parseQuery, matchesQuery } from './search-query.js';
+
+function buildRecord(kind, id, def, familyDefs) {
+    const familyId = def?.familyId || '';
+    return {
+        kind,
+        id,
+        name: def?.name,
+        fullName: def?.fullName,
+        brand: def?.brand,
+        family: familyDefs.get(familyId) || familyId,
+        familyId,
+        type: def?.type,
+        attributes: def?.attributes,
+    };
+}
+
+/**
+ * Filters (tablet, pen) pairs by brand, tablet type and search query, as used by the
+ * compatibility list and matrix views.
+ * A pair matches the brand if its tablet or pen belongs to it, and the type if its
+ * tablet is of that type. Each query term must match its tablet or its pen (see
+ * search-query.js for the syntax).
+ * @param {{tabletId: string, penId: string}[]} pairs
+ * @param {{searchTerm?: string, selectedBrand?: string, selectedType?: string, tabletDefs: Map, penDefs: Map, tabletFamilyDefs?: Map, penFamilyDefs?: Map}} options
+ */
+export function filterCompatPairs(pairs, {
+    searchTerm = '',
+    selectedBrand = '',
+    selectedType = '',
+    tabletDefs,
+    penDefs,
+    tabletFamilyDefs = new Map(),
+    penFamilyDefs = new Map(),
+}) {
+    const query = parseQuery(searchTerm);
+    const tabletRecords = new Map();
+    const penRecords = new Map();
+
+    return pairs.filter(({ tabletId, penId }) => {
+        if (selectedBrand
+            && tabletDefs.get(tabletId)?.brand !== selectedBrand
+            && penDefs.get(penId)?.brand !== selectedBrand) {
+            return false;
+        }
+        if (selectedType && tabletDefs.get(tabletId)?.type !== selectedType) return false;
+
+        if (query.groups.length === 0) return true;
+
+        if (!tabletRecords.has(tabletId)) {
+            tabletRecords.set(tabletId, buildRecord('tablet', tabletId, tabletDefs.get(tabletId), tabletFamilyDefs));
+        }
+        if (!penRecords.has(penId)) {
+            penRecords.set(penId, buildRecord('pen', penId, penDefs.get(penId), penFamilyDefs));
+        }
+        return matchesQuery(query, [tabletRecords.get(tabletId), penRecords.get(penId)]);
+    });
+}
@@ -0,0 +1,139 @@
+/**
+ * Explains why a (tablet, pen) pair is listed, and infers likely pairs that the
+ * source data does not list. Inferred results are never merged into `pairs`.
+ */
+
+import { compareIds } from './compat-pairs.js';
+
+export const VERDICT_LABELS = {
+  'likely-compatible': 'Likely compatible',
+  'likely-incompatible': 'Likely incompatible'
+};
+
+/**
+ * Describes one entry of a pair's `sources`, e.g.
+ * "WACOM-pen-compat.json entry #3, via pen family Pro Pen 2".
+ * @param {{row: number, file: string, index: number|null, override?: string, via: string, familyId: string, tabletVia?: string, tabletFamilyId?: string}} source
+ * @param {Map<string, string>} penFamilyDefs
+ * @param {Map<string, string>} [tabletFamilyDefs]
+ */
+export function describePairSource(source, penFamilyDefs, tabletFamilyDefs = new Map()) {
+  const origin = source.file
+    ? `${source.file} entry #${source.index}`
+    : `compatibility row #${source.row}`;
+  const parts = [origin];
+  parts.push(source.via === 'penfamily'
+    ? `via pen family ${penFamilyDefs.get(source.familyId) || source.familyId}`
+    : 'pen listed directly');
+  if (source.tabletVia === 'tabletfamily') {
+    parts.push(`via tablet family ${tabletFamilyDefs.get(source.tabletFamilyId) || source.tabletFamilyId}`);
+  }
+  if (source.override) parts.push(`local override (${source.override})`);
+  return parts.join(', ');
+}
+
+/**
+ * Compares the pen technology (EMR, AES, battery, ...) of a pen and a tablet.
+ * @returns {{verdict: string, reason: string} | null} null when either side has no technology data
+ */
+export function compareTechnology(penDef, tabletDef) {
+  const penTech = penDef?.attributes?.technology;
+  const tabletTech = tabletDef?.attributes?.technology;
+  if (!penTech || !tabletTech) return null;
+
+  if (String(penTech).toUpperCase() === String(tabletTech).toUpperCase()) {
+    return { verdict: 'likely-compatible', reason: `both use ${penTech}` };
+  }
+  return { verdict: 'likely-incompatible', reason: `pen uses ${penTech}, tablet uses ${tabletTech}` };
+}
+
+/**
+ * The inference for one unlisted pair from its evidence: a confirmed pen of the same pen
+ * family (`evidenceId`, may be empty) and the technology of both sides. Each kind of evidence
+ * gives its own reason; a technology mismatch outweighs the family evidence.
+ * @returns {{verdict: string, basis: string[], reasons: string[], reason: string} | null}
+ *   null when there is no evidence either way
+ */
+function buildInference(penDef, tabletDef, evidenceId) {
+  const technology = compareTechnology(penDef, tabletDef);
+  const basis = [];
+  const reasons = [];
+  if (evidenceId) {
+    basis.push('family');
+    reasons.push(`same pen family as ${evidenceId}, which is confirmed`);
+  }
+  if (technology) {
+    basis.push('technology');
+    reasons.push(technology.reason);
+  }
+  if (basis.length === 0) return null;
+
+  const verdict = technology?.verdict === 'likely-incompatible' ? technology.verdict : 'likely-compatible';
+  return { verdict, basis, reasons, reason: reasons.join('; ') };
+}
+
+// Likely compatible first, then by id.
+function compareInferences(idKey) {
+  return (a, b) => (a.verdict === b.verdict ? 0 : a.verdict === 'likely-compatible' ? -1 : 1) || compareIds(a[idKey], b[idKey]);
+}
+
+/**
+ * Pens not listed for the tablet, with a verdict: those whose pen family has a confirmed
+ * member on the tablet, and those whose technology matches or differs from the tablet's.
+ * @param {string} tabletId
+ * @param {{pairsByTablet: Map, pensByFamily: Map, penDefs: Map, tabletDefs: Map}} data
+ * @returns {{penId: string, verdict: string, basis: string[], reasons: string[], reason: string}[]}
+ *   `basis` lists the kinds of evidence ('family', 'technology') and `reasons` has a text for each
+ */
+export function inferPensForTablet(tabletId, data) {
+  const confirmed = new Set((data.pairsByTablet.get(tabletId) || []).map((pair) => pair.penId));
+
+  // First confirmed pen per family serves as the evidence.
+  const evidenceByFamily = new Map();
+  [...confirmed].sort(compareIds).forEach((penId) => {
+    const familyId = data.penDefs.get(penId)?.familyId;
+    if (familyId && !evidenceByFamily.has(familyId)) evidenceByFamily.set(familyId, penId);
+  });
+
+  const tabletDef = data.tabletDefs.get(tabletId);
+  const inferred = [];
+  data.penDefs.forEach((penDef, penId) => {
+    if (confirmed.has(penId)) return;
+    const inference = buildInference(penDef, tabletDef, evidenceByFamily.get(penDef.familyId) || '');
+    if (inference) inferred.push({ penId, ...inference });
+  });
+
+  return inferred.sort(compareInferences('penId'));
+}
+
+/**
+ * Tablets not listed for the pen, with a verdict: those on which another pen of its family is
+ * confirmed, and those whose technology matches or differs from the pen's.
+ * @param {string} penId
+ * @param {{pairsByPen: Map, pensByFamily: Map, penDefs: Map, tabletDefs: Map}} data
+ * @returns {{tabletId: string, verdict: string, basis: string[], reasons: string[], reason: string}[]}
+ */
+export function inferTabletsForPen(penId, data) {
+  const penDef = data.penDefs.get(penId);
+  if (!penDef) return [];
+
+  const confirmed = new Set((data.pairsByPen.get(penId) || []).map((pair) => pair.tabletId));
+  const evidenceByTablet = new Map();
+  // Family members are sorted, so the first one seen on a tablet is the evidence.
+  for (const otherId of penDef.familyId ? data.pensByFamily.get(penDef.familyId) || [] : []) {
+    if (otherId === penId) continue;
+    for (const pair of data.pairsByPen.get(otherId) || []) {
+      if (!evidenceByTablet.has(pair.tabletId)) evidenceByTablet.set(pair.tabletId, otherId);
+    }
+  }
+
+  // Tablets with family evidence may be missing from the definitions.
+  const inferred = [];
+  new Set([...data.tabletDefs.keys(), ...evidenceByTablet.keys()]).forEach((tabletId) => {
+    if (confirmed.has(tabletId)) return;
+    const inference = buildInference(penDef, data.tabletDefs.get(tabletId), evidenceByTablet.get(tabletId) || '');
+    if (inference) inferred.push({ tabletId, ...inference });
+  });
+
+  return inferred.sort(compareInferences('tabletId'));
+}
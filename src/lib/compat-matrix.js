@@ -0,0 +1,85 @@
+/**
+ * Axis and cell helpers for the tablet x pen matrix on /pencompat/.
+ */
+
+const UNSPECIFIED_FAMILY = '';
+
+function compareLabels(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Builds the items along one matrix axis.
+ * Without grouping every device is an item. With grouping each family is one collapsed
+ * item; an expanded family is followed by its members.
+ * @param {string[]} ids - Devices on this axis.
+ * @param {Map<string, {name: string, fullName: string, familyId: string}>} defs
+ * @param {Map<string, string>} familyDefs
+ * @param {{groupByFamily: boolean, expandedFamilies: Set<string>}} options
+ * @returns {{key: string, kind: 'device'|'family', id: string, label: string, title: string, members: string[], expanded?: boolean, nested?: boolean}[]}
+ */
+export function buildMatrixAxis(ids, defs, familyDefs, { groupByFamily, expandedFamilies }) {
+  const deviceItem = (id, nested = false) => {
+    const def = defs.get(id);
+    return {
+      key: `device:${id}`,
+      kind: 'device',
+      id,
+      label: def?.name && def.name !== id ? `${def.name} (${id})` : id,
+      title: def?.fullName || def?.name || id,
+      members: [id],
+      nested
+    };
+  };
+
+  const sortedIds = [...ids].sort(compareLabels);
+  if (!groupByFamily) return sortedIds.map((id) => deviceItem(id));
+
+  const byFamily = new Map();
+  for (const id of sortedIds) {
+    const familyId = defs.get(id)?.familyId || UNSPECIFIED_FAMILY;
+    if (!byFamily.has(familyId)) byFamily.set(familyId, []);
+    byFamily.get(familyId).push(id);
+  }
+
+  const familyName = (familyId) => (familyId === UNSPECIFIED_FAMILY
+    ? 'Unspecified'
+    : familyDefs.get(familyId) || familyId);
+
+  const items = [];
+  Array.from(byFamily.keys())
+    .sort((a, b) => compareLabels(familyName(a), familyName(b)))
+    .forEach((familyId) => {
+      const members = byFamily.get(familyId);
+      const expanded = expandedFamilies.has(familyId);
+      items.push({
+        key: `family:${familyId}`,
+        kind: 'family',
+        id: familyId,
+        label: `${familyName(familyId)} (${members.length})`,
+        title: `${familyName(familyId)}: ${members.join(', ')}`,
+        members,
+        expanded
+      });
+      if (expanded) members.forEach((id) => items.push(deviceItem(id, true)));
+    });
+  return items;
+}
+
+/**
+ * Number of compatible (tablet, pen) combinations between two member lists.
+ * @param {string[]} tabletIds
+ * @param {string[]} penIds
+ * @param {Map<string, Set<string>>} pensByTablet
+ */
+export function countCompatible(tabletIds, penIds, pensByTablet) {
+  let count = 0;
+  for (const tabletId of tabletIds) {
+    const pens = pensByTablet.get(tabletId);
+    if (!pens) continue;
+    for (const penId of penIds) {
+      if (pens.has(penId)) count += 1;
+    }
+  }
+  return count;
+}
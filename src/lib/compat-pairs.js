@@ -0,0 +1,201 @@
+/**
+ * Pair expansion and data-quality diagnostics shared by scripts/generate-data.js
+ * (build time) and data-loader.js (runtime). Must stay free of SvelteKit imports.
+ */
+
+export function compareIds(a, b) {
+    return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+export function comparePairs(a, b) {
+    const tabletCompared = compareIds(a.tabletId, b.tabletId);
+    if (tabletCompared !== 0) return tabletCompared;
+    return compareIds(a.penId, b.penId);
+}
+
+/**
+ * Builds Map<FamilyID, Set<DeviceID>> from pen or tablet definitions.
+ * @param {Iterable<{id: string, familyId: string}>} devices
+ */
+export function buildFamilyMembers(devices) {
+    const familyMembers = new Map();
+    for (const { id, familyId } of devices) {
+        if (!familyId) continue;
+        if (!familyMembers.has(familyId)) {
+            familyMembers.set(familyId, new Set());
+        }
+        familyMembers.get(familyId).add(id);
+    }
+    return familyMembers;
+}
+
+/**
+ * Expands compatibility rows into unique, sorted (tablet, pen) pairs.
+ * Family references (`penfamilies`, `tabletfamilies`) are expanded against the current
+ * definitions, so devices added to a family later are picked up without touching the rows.
+ * Each pair lists every row that produced it in `sources`: the row's `source` reference
+ * (DrawTabData or local override file, entry index and override mark, when the generator
+ * provided them), whether the pen and tablet were listed directly or came from a family, and
+ * the row's position in `compatRows`.
+ * @param {{tablets?: string[], pens?: string[], penfamilies?: string[], tabletfamilies?: string[], source?: {file: string, index: number, override?: string}}[]} compatRows
+ * @param {Map<string, Set<string>>} familyToPens
+ * @param {Map<string, Set<string>>} familyToTablets
+ * @returns {{pairs: {tabletId: string, penId: string, sources: Object[]}[], pairOccurrences: Map<string, number>, unresolvedPenFamilies: string[], unresolvedTabletFamilies: string[]}}
+ *   `unresolved*Families` are referenced families with no members.
+ */
+export function expandCompatRows(compatRows, familyToPens, familyToTablets = new Map()) {
+    const pairs = [];
+    const pairsByKey = new Map();
+    const pairOccurrences = new Map();
+    const unresolvedPenFamilies = new Set();
+    const unresolvedTabletFamilies = new Set();
+
+    // Map<DeviceID, family it came from, or '' when listed directly>
+    function collectMembers(ids, familyIds, familyMembers, unresolved) {
+        const members = new Map();
+        (ids || []).forEach(id => members.set(id, ''));
+        (familyIds || []).forEach(familyId => {
+            if (familyMembers.has(familyId)) {
+                familyMembers.get(familyId).forEach(id => {
+                    if (!members.has(id)) members.set(id, familyId);
+                });
+            } else {
+                unresolved.add(familyId);
+            }
+        });
+        return members;
+    }
+
+    (compatRows || []).forEach((row, rowIndex) => {
+        const rowTablets = collectMembers(row.tablets, row.tabletfamilies, familyToTablets, unresolvedTabletFamilies);
+        const rowPens = collectMembers(row.pens, row.penfamilies, familyToPens, unresolvedPenFamilies);
+
+        rowTablets.forEach((viaTabletFamilyId, tabletId) => {
+            rowPens.forEach((viaFamilyId, penId) => {
+                const key = `${tabletId}\u0000${penId}`;
+                const nextCount = (pairOccurrences.get(key) || 0) + 1;
+                pairOccurrences.set(key, nextCount);
+
+                const source = {
+                    row: rowIndex,
+                    file: row.source?.file || '',
+                    index: row.source?.index ?? null,
+                    override: row.source?.override || '',
+                    via: viaFamilyId ? 'penfamily' : 'pen',
+                    familyId: viaFamilyId,
+                    tabletVia: viaTabletFamilyId ? 'tabletfamily' : 'tablet',
+                    tabletFamilyId: viaTabletFamilyId
+                };
+
+                if (nextCount > 1) {
+                    pairsByKey.get(key).sources.push(source);
+                    return;
+                }
+                const pair = { tabletId, penId, sources: [source] };
+                pairsByKey.set(key, pair);
+                pairs.push(pair);
+            });
+        });
+    });
+
+    pairs.sort(comparePairs);
+
+    return {
+        pairs,
+        pairOccurrences,
+        unresolvedPenFamilies: Array.from(unresolvedPenFamilies).sort(compareIds),
+        unresolvedTabletFamilies: Array.from(unresolvedTabletFamilies).sort(compareIds)
+    };
+}
+
+/**
+ * Computes the data-quality checks shown on /log/.
+ * @param {Object} input
+ * @param {{tabletId: string, penId: string}[]} input.pairs
+ * @param {Map<string, number>} input.pairOccurrences
+ * @param {string[]} input.unresolvedPenFamilies - Referenced pen families with no pens.
+ * @param {string[]} input.unresolvedTabletFamilies - Referenced tablet families with no tablets.
+ * @param {Iterable<string>} input.tabletIds - All defined tablet ids.
+ * @param {Iterable<string>} input.penIds - All defined pen ids.
+ * @param {Iterable<string>} input.penFamilyIds - All defined pen family ids.
+ * @param {Iterable<string>} input.tabletFamilyIds - All defined tablet family ids.
+ */
+export function computeDiagnostics({
+    pairs,
+    pairOccurrences,
+    unresolvedPenFamilies,
+    unresolvedTabletFamilies,
+    tabletIds,
+    penIds,
+    penFamilyIds,
+    tabletFamilyIds
+}) {
+    const definedTablets = new Set(tabletIds);
+    const definedPens = new Set(penIds);
+    const missingTabletDefs = new Set();
+    const missingPenDefs = new Map(); // Map<PenID, Set<TabletID>>
+    const usedTablets = new Set();
+    const usedPens = new Set();
+
+    pairs.forEach(({ tabletId, penId }) => {
+        usedTablets.add(tabletId);
+        usedPens.add(penId);
+
+        if (!definedTablets.has(tabletId)) {
+            missingTabletDefs.add(tabletId);
+        }
+
+        if (!definedPens.has(penId)) {
+            if (!missingPenDefs.has(penId)) {
+                missingPenDefs.set(penId, new Set());
+            }
+            missingPenDefs.get(penId).add(tabletId);
+        }
+    });
+
+    const definedPenFamilies = new Set(penFamilyIds);
+    const definedTabletFamilies = new Set(tabletFamilyIds);
+
+    const duplicatePairs = Array.from(pairOccurrences.entries())
+        .filter(([, occurrences]) => occurrences > 1)
+        .map(([key, occurrences]) => {
+            const [tabletId, penId] = key.split('\u0000');
+            return { tabletId, penId, occurrences };
+        })
+        .sort(comparePairs);
+
+    return {
+        missingTabletDefs: Array.from(missingTabletDefs).sort(compareIds),
+        missingPenDefs: Array.from(missingPenDefs.entries())
+            .map(([penId, tablets]) => ({ penId, tabletIds: Array.from(tablets).sort(compareIds) }))
+            .sort((a, b) => compareIds(a.penId, b.penId)),
+        pensWithoutTablets: Array.from(definedPens).filter(id => !usedPens.has(id)).sort(compareIds),
+        tabletsWithoutPens: Array.from(definedTablets).filter(id => !usedTablets.has(id)).sort(compareIds),
+        duplicatePairs,
+        unknownPenFamilies: unresolvedPenFamilies.filter(id => !definedPenFamilies.has(id)),
+        emptyPenFamilies: unresolvedPenFamilies.filter(id => definedPenFamilies.has(id)),
+        unknownTabletFamilies: unresolvedTabletFamilies.filter(id => !definedTabletFamilies.has(id)),
+        emptyTabletFamilies: unresolvedTabletFamilies.filter(id => definedTabletFamilies.has(id)),
+    };
+}
+
+/**
+ * Number of findings per check, keyed by the same names used for build thresholds.
+ */
+export function summarizeDiagnostics(diagnostics) {
+    const summary = {};
+    for (const [check, findings] of Object.entries(diagnostics)) {
+        if (Array.isArray(findings)) summary[check] = findings.length;
+    }
+    return summary;
+}
+
+/**
+ * Formats a validation issue (scripts/data-schema.js) or override conflict as
+ * `file[index].field: message`, for the build output and the /log/ page.
+ */
+export function formatIssue(issue) {
+    const index = issue.index === null ? '' : `[${issue.index}]`;
+    const field = issue.field ? `.${issue.field}` : '';
+    return `${issue.file}${index}${field}: ${issue.message}`;
+}
@@ -1,36 +1,46 @@
-import { fetchAndParseJSON } from './data-loader.js';
+import { fetchCompatibilityData } from './data-loader.js';
+import { dataPath } from './snapshots.js';
 
 const dataCache = new Map();
 const promiseCache = new Map();
 
+function cacheKey(basePath, snapshot, brands) {
+  let key = String(basePath || '');
+  if (snapshot) key = `${key}@${snapshot}`;
+  return brands ? `${key}#${[...brands].sort().join(',')}` : key;
+}
+
+function cached(key) {
+  if (dataCache.has(key)) return Promise.resolve(dataCache.get(key));
+  return promiseCache.get(key);
+}
+
 /**
- * Returns parsed compatibility data, cached by base path for client-side route reuse.
+ * Returns parsed compatibility data, cached by base path and snapshot for client-side route reuse.
  * @param {string} basePath
  * @param {(input: RequestInfo | URL, init?: RequestInit) => Promise<Response>} fetchImpl
+ * @param {string} [snapshot] - Snapshot key (see snapshots.js); '' for the current data.
+ * @param {{brands?: string[]}} [options] - Only the pairs of tablets of these brands are needed.
+ *   When the data is split into per-brand chunks, only those chunks are fetched and `pairs`
+ *   holds just those tablets' pairs (`data.brands` says which); otherwise this is ignored.
+ *   Data already loaded in full is returned as is.
  */
-export function getCompatibilityData(basePath = '', fetchImpl = fetch) {
-  const key = String(basePath || '');
-
-  if (dataCache.has(key)) {
-    return Promise.resolve(dataCache.get(key));
-  }
-
-  if (promiseCache.has(key)) {
-    return promiseCache.get(key);
-  }
+export function getCompatibilityData(basePath = '', fetchImpl = fetch, snapshot = '', { brands } = {}) {
+  const fullKey = cacheKey(basePath, snapshot);
+  const key = cacheKey(basePath, snapshot, brands);
+  const hit = cached(fullKey) || cached(key);
+  if (hit) return hit;
 
-  const promise = fetchAndParseJSON(
-    `${key}/data/wacom-pen-compat.json`,
-    `${key}/data/wacom-tablets.json`,
-    `${key}/data/wacom-pens.json`,
-    fetchImpl
-  )
+  const dir = dataPath(String(basePath || ''), snapshot);
+  const promise = fetchCompatibilityData(dir, fetchImpl, { brands })
     .then((parsedData) => {
       const data = {
         ...parsedData,
+        snapshot,
         loadedAtIso: new Date().toISOString()
       };
-      dataCache.set(key, data);
+      // Unchunked data is complete whatever was asked for.
+      dataCache.set(data.brands ? key : fullKey, data);
       promiseCache.delete(key);
       return data;
     })
@@ -43,8 +53,10 @@ export function getCompatibilityData(basePath = '', fetchImpl = fetch) {
   return promise;
 }
 
-export function clearCompatibilityDataCache(basePath = '') {
-  const key = String(basePath || '');
-  dataCache.delete(key);
-  promiseCache.delete(key);
+export function clearCompatibilityDataCache(basePath = '', snapshot = '') {
+  const key = cacheKey(basePath, snapshot);
+  const matches = (candidate) => candidate === key || candidate.startsWith(`${key}#`);
+  [dataCache, promiseCache].forEach((cache) => {
+    Array.from(cache.keys()).filter(matches).forEach((candidate) => cache.delete(candidate));
+  });
 }
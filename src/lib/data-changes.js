@@ -0,0 +1,119 @@
+/**
+ * Changelog between revisions of the generated data. scripts/generate-data.js diffs each new
+ * output against the previously published definitions and rows and prepends the result to
+ * static/data/changelog.json; /changes/ renders that history and detail pages use it to date
+ * when a pair was added. Works on the raw file format, so it must stay free of SvelteKit imports.
+ */
+
+import { buildFamilyMembers, expandCompatRows, compareIds, comparePairs } from './compat-pairs.js';
+
+/**
+ * @param {string} tabletId
+ * @param {string} penId
+ */
+export function pairKey(tabletId, penId) {
+  return `${tabletId}\u0000${penId}`;
+}
+
+function byId(a, b) {
+  return compareIds(a.id, b.id);
+}
+
+// Added, removed, renamed and moved (family changed) devices, from raw `pendefs`/`tabletdefs`.
+function diffDevices(previousDefs, currentDefs) {
+  const before = new Map((previousDefs || []).map((def) => [def.id, def]));
+  const after = new Map((currentDefs || []).map((def) => [def.id, def]));
+  const summary = (def) => ({ id: def.id, name: def.name || def.id, brand: def.brand || '' });
+  const changes = { added: [], removed: [], renamed: [], moved: [] };
+
+  after.forEach((def, id) => {
+    const old = before.get(id);
+    if (!old) {
+      changes.added.push(summary(def));
+      return;
+    }
+    if ((old.name || '') !== (def.name || '')) {
+      changes.renamed.push({ id, from: old.name || '', to: def.name || '' });
+    }
+    if ((old.familyid || '') !== (def.familyid || '')) {
+      changes.moved.push({ id, name: def.name || id, from: old.familyid || '', to: def.familyid || '' });
+    }
+  });
+  before.forEach((def, id) => {
+    if (!after.has(id)) changes.removed.push(summary(def));
+  });
+
+  Object.values(changes).forEach((list) => list.sort(byId));
+  return changes;
+}
+
+function expandPairs(revision) {
+  const { pairs } = expandCompatRows(
+    revision.compat?.compatrows || [],
+    buildFamilyMembers((revision.pens?.pendefs || []).map((def) => ({ id: def.id, familyId: def.familyid }))),
+    buildFamilyMembers((revision.tablets?.tabletdefs || []).map((def) => ({ id: def.id, familyId: def.familyid })))
+  );
+  return new Map(pairs.map(({ tabletId, penId }) => [pairKey(tabletId, penId), { tabletId, penId }]));
+}
+
+/**
+ * Compares two revisions of the generated data. Pairs are compared after family expansion,
+ * so moving a pen into a family that a compat row lists shows up as added pairs.
+ * @param {{pens: Object, tablets: Object, compat: Object}} previous - `{penfamilydefs, pendefs}`,
+ *   `{tabletfamilydefs, tabletdefs}` and `{compatrows}`, as in the old wacom-*.json files
+ *   (see coreToRawRevision in data-format.js).
+ * @param {{pens: Object, tablets: Object, compat: Object}} current
+ * @returns {{pens: Object, tablets: Object, pairs: {added: Object[], removed: Object[]}}}
+ */
+export function diffDataRevisions(previous, current) {
+  const before = expandPairs(previous);
+  const after = expandPairs(current);
+
+  return {
+    pens: diffDevices(previous.pens?.pendefs, current.pens?.pendefs),
+    tablets: diffDevices(previous.tablets?.tabletdefs, current.tablets?.tabletdefs),
+    pairs: {
+      added: Array.from(after.keys()).filter((key) => !before.has(key)).map((key) => after.get(key)).sort(comparePairs),
+      removed: Array.from(before.keys()).filter((key) => !after.has(key)).map((key) => before.get(key)).sort(comparePairs)
+    }
+  };
+}
+
+/**
+ * Number of changes of each kind, e.g. `{pensAdded: 2, pairsRemoved: 1, ...}`.
+ * @param {ReturnType<typeof diffDataRevisions>} changes
+ * @returns {Object<string, number>}
+ */
+export function countChanges(changes) {
+  const counts = {};
+  for (const group of ['pens', 'tablets', 'pairs']) {
+    for (const [kind, list] of Object.entries(changes[group] || {})) {
+      counts[`${group}${kind.charAt(0).toUpperCase()}${kind.slice(1)}`] = list.length;
+    }
+  }
+  return counts;
+}
+
+/**
+ * @param {ReturnType<typeof diffDataRevisions>} changes
+ */
+export function hasChanges(changes) {
+  return Object.values(countChanges(changes)).some((count) => count > 0);
+}
+
+/**
+ * Date on which each pair was last added, from a changelog (entries newest first).
+ * Pairs that predate the first entry have no date.
+ * @param {{entries: {date: string, pairs?: {added: Object[], removed: Object[]}}[]}} changelog
+ * @param {string} [asOf] - Ignore entries after this date (`YYYY-MM-DD`), for snapshots.
+ * @returns {Map<string, string>} date by pairKey(tabletId, penId)
+ */
+export function buildPairAddedDates(changelog, asOf = '') {
+  const dates = new Map();
+  for (const entry of [...(changelog?.entries || [])].reverse()) {
+    if (asOf && entry.date > asOf) break;
+    entry.pairs?.added?.forEach(({ tabletId, penId }) => dates.set(pairKey(tabletId, penId), entry.date));
+    entry.pairs?.removed?.forEach(({ tabletId, penId }) => dates.delete(pairKey(tabletId, penId)));
+  }
+  return dates;
+}
@@ -0,0 +1,192 @@
+/**
+ * The compact data format written by scripts/generate-data.js and read by data-loader.js.
+ *
+ * static/data/manifest.json (fixed name, tiny) points at content-hashed files:
+ *   { format: 3, hash, core: 'core.<hash>.json', pairChunks?: { <brand>: 'pairs-<brand>.<hash>.json' } }
+ * The core file holds the brand registry (`branddefs`, see brands.js), the definitions
+ * (`pendefs`, `tabletdefs`, `penfamilydefs`, `tabletfamilydefs`), the unexpanded
+ * `compatrows` (for provenance and changelog diffs) without their `source`, and, unless the
+ * pairs are split per tablet brand, the expanded pairs:
+ *   compatsources: [[file, firstIndex, count, override?]]  the rows' sources, as runs of rows
+ *          from the same file with consecutive indexes
+ *   pairs: [[tabletId, [penId, ...rows], ...]]  expanded at build time, grouped by tablet and
+ *          sorted (comparePairs): this is the tablet -> pens index. `rows` are the indexes of
+ *          the compat rows that list the pair. Whether a side came from a family is not stored:
+ *          it did if the row does not list the device itself.
+ * The pen -> tablets index is rebuilt from the sorted pairs in one pass on load. A pair chunk
+ * has the same `pairs` for the tablets of one brand.
+ * Format 2 (older snapshots) stored flat `[tabletId, penId, ...rows]` pairs, the rows with
+ * their `source`, and both indices; decodePairs and coreToRawRevision still read it.
+ * Shared by the generate script and the app, so it must stay free of SvelteKit imports.
+ */
+
+import { buildFamilyMembers, expandCompatRows, compareIds } from './compat-pairs.js';
+
+export const DATA_FORMAT = 3;
+// Formats the loader reads: the current one and that of older snapshots.
+export const SUPPORTED_DATA_FORMATS = [2, 3];
+export const MANIFEST_FILE = 'manifest.json';
+
+// The pair source built by expandCompatRows, recovered from the row and the device's family.
+function decodeSource(row, tabletId, penId, compatRows, penFamilies, tabletFamilies) {
+  const compatRow = compatRows[row] || {};
+  const familyId = compatRow.pens?.includes(penId) ? '' : penFamilies.get(penId) || '';
+  const tabletFamilyId = compatRow.tablets?.includes(tabletId) ? '' : tabletFamilies.get(tabletId) || '';
+  return {
+    row,
+    file: compatRow.source?.file || '',
+    index: compatRow.source?.index ?? null,
+    override: compatRow.source?.override || '',
+    via: familyId ? 'penfamily' : 'pen',
+    familyId,
+    tabletVia: tabletFamilyId ? 'tabletfamily' : 'tablet',
+    tabletFamilyId
+  };
+}
+
+// Runs of `compatsources` for the rows' `source` objects.
+function encodeSources(rows) {
+  const runs = [];
+  rows.forEach(({ source = {} }) => {
+    const file = source.file || '';
+    const index = source.index ?? null;
+    const override = source.override || '';
+    const last = runs[runs.length - 1];
+    if (last && last[0] === file && (last[3] || '') === override && index !== null && last[1] !== null && last[1] + last[2] === index) {
+      last[2] += 1;
+    } else {
+      runs.push(override ? [file, index, 1, override] : [file, index, 1]);
+    }
+  });
+  return runs;
+}
+
+// The compat rows with their `source`, from either format.
+function decodeCompatRows(core) {
+  if (!core.compatsources) return core.compatrows;
+  const sources = core.compatsources.flatMap(([file, firstIndex, count, override]) =>
+    Array.from({ length: count }, (_, i) => ({
+      file,
+      index: firstIndex === null ? null : firstIndex + i,
+      ...(override ? { override } : {})
+    }))
+  );
+  return core.compatrows.map((row, i) => ({ ...row, source: sources[i] }));
+}
+
+// `pairs` (a sorted slice of the expanded pair list) grouped by tablet.
+function encodePairs(pairs) {
+  const groups = [];
+  pairs.forEach((pair) => {
+    const entry = [pair.penId, ...pair.sources.map((source) => source.row)];
+    const last = groups[groups.length - 1];
+    if (last && last[0] === pair.tabletId) last.push(entry);
+    else groups.push([pair.tabletId, entry]);
+  });
+  return groups;
+}
+
+/**
+ * Builds the core file and, with `chunkByBrand`, one pair chunk per tablet brand.
+ * @param {{branddefs?: Object[], pendefs: Object[], tabletdefs: Object[], penfamilydefs: Object[], tabletfamilydefs: Object[], compatrows: Object[]}} raw
+ * @param {{chunkByBrand?: boolean}} [options]
+ * @returns {{core: Object, chunks: Object<string, Object>}}
+ */
+export function encodeCompatibilityData(raw, { chunkByBrand = false } = {}) {
+  const { pairs } = expandCompatRows(
+    raw.compatrows,
+    buildFamilyMembers(raw.pendefs.map((def) => ({ id: def.id, familyId: def.familyid }))),
+    buildFamilyMembers(raw.tabletdefs.map((def) => ({ id: def.id, familyId: def.familyid })))
+  );
+  const core = {
+    branddefs: raw.branddefs || [],
+    penfamilydefs: raw.penfamilydefs,
+    pendefs: raw.pendefs,
+    tabletfamilydefs: raw.tabletfamilydefs,
+    tabletdefs: raw.tabletdefs,
+    compatrows: raw.compatrows.map(({ source, ...row }) => row),
+    compatsources: encodeSources(raw.compatrows)
+  };
+  if (!chunkByBrand) return { core: { ...core, pairs: encodePairs(pairs) }, chunks: {} };
+
+  // Tablets missing from the definitions have no brand; they go in the '' chunk.
+  const tabletBrands = new Map(raw.tabletdefs.map((def) => [def.id, def.brand || '']));
+  const byBrand = new Map();
+  pairs.forEach((pair) => {
+    const brand = tabletBrands.get(pair.tabletId) || '';
+    if (!byBrand.has(brand)) byBrand.set(brand, []);
+    byBrand.get(brand).push(pair);
+  });
+
+  const chunks = {};
+  for (const [brand, slice] of byBrand) {
+    chunks[brand] = { brand, pairs: encodePairs(slice) };
+  }
+  return { core, chunks };
+}
+
+/**
+ * The definitions and rows in the shape of the original wacom-*.json files, for
+ * changelog diffs (see data-changes.js).
+ * @param {Object} core
+ */
+export function coreToRawRevision(core) {
+  return {
+    pens: { penfamilydefs: core.penfamilydefs, pendefs: core.pendefs },
+    tablets: { tabletfamilydefs: core.tabletfamilydefs, tabletdefs: core.tabletdefs },
+    compat: { compatrows: decodeCompatRows(core) }
+  };
+}
+
+/**
+ * Pair objects and indices from the core file or from pair chunks, without re-expanding rows.
+ * The pairs are sorted by tablet, so each tablet's pairs are a run, and a pen's pairs come out
+ * sorted by tablet; chunks (one brand's tablets each) are merged by tablet id.
+ * @param {Object} core
+ * @param {Object[]} chunks - Loaded pair chunks; ignored when the core has the pairs.
+ * @param {number} [format] - The manifest's `format`.
+ * @returns {{pairs: Object[], pairsByTablet: Map<string, Object[]>, pairsByPen: Map<string, Object[]>}}
+ */
+export function decodePairs(core, chunks = [], format = DATA_FORMAT) {
+  const parts = core.pairs ? [core] : chunks;
+  const compatRows = decodeCompatRows(core);
+  const penFamilies = new Map(core.pendefs.map((def) => [def.id, def.familyid]));
+  const tabletFamilies = new Map(core.tabletdefs.map((def) => [def.id, def.familyid]));
+  const decodePair = (tabletId, penId, rows) => ({
+    tabletId,
+    penId,
+    sources: rows.map((row) => decodeSource(row, tabletId, penId, compatRows, penFamilies, tabletFamilies))
+  });
+
+  // [tabletId, pairs] per tablet, from the grouped or (format 2) the flat tuples.
+  const groups = [];
+  for (const part of parts) {
+    if (format === 2) {
+      part.pairs.forEach(([tabletId, penId, ...rows]) => {
+        const last = groups[groups.length - 1];
+        const pair = decodePair(tabletId, penId, rows);
+        if (last && last[0] === tabletId) last[1].push(pair);
+        else groups.push([tabletId, [pair]]);
+      });
+    } else {
+      part.pairs.forEach(([tabletId, ...entries]) => {
+        groups.push([tabletId, entries.map(([penId, ...rows]) => decodePair(tabletId, penId, rows))]);
+      });
+    }
+  }
+  if (parts.length > 1) groups.sort(([a], [b]) => compareIds(a, b));
+
+  const pairs = [];
+  const pairsByTablet = new Map();
+  const pairsByPen = new Map();
+  for (const [tabletId, tabletPairs] of groups) {
+    pairsByTablet.set(tabletId, tabletPairs);
+    tabletPairs.forEach((pair) => {
+      pairs.push(pair);
+      if (!pairsByPen.has(pair.penId)) pairsByPen.set(pair.penId, []);
+      pairsByPen.get(pair.penId).push(pair);
+    });
+  }
+
+  return { pairs, pairsByTablet, pairsByPen };
+}
@@ -1,10 +1,19 @@
+import { buildFamilyMembers, expandCompatRows, compareIds } from './compat-pairs.js';
+import { SUPPORTED_DATA_FORMATS, MANIFEST_FILE, decodePairs } from './data-format.js';
+import { parseBrandDefs } from './brands.js';
+
 /**
  * Fetches and parses the compatibility JSON files.
+ * Data-quality diagnostics are computed at build time; see fetchDiagnosticsReport.
+ * Besides the definition Maps, returns indices so page loaders never scan every pair or def:
+ * `pairsByTablet`/`pairsByPen` (each device's pairs, in `pairs` order) and
+ * `pensByFamily`, `tabletsByFamily`, `pensByBrand`, `tabletsByBrand` (sorted device ids), and
+ * `brandDefs`, the brand registry (see brands.js).
  * @param {string} compatUrl - The URL to the compatibility JSON file.
  * @param {string} tabletsUrl - The URL to the tablets JSON file.
  * @param {string} pensUrl - The URL to the pens JSON file.
  * @param {(input: RequestInfo | URL, init?: RequestInit) => Promise<Response>} fetchImpl
- * @returns {Promise<{pairs: Object[], tabletDefs: Map, penDefs: Map, penFamilyDefs: Map, tabletFamilyDefs: Map, diagnostics: Object}>}
+ * @returns {Promise<{pairs: Object[], pairsByTablet: Map, pairsByPen: Map, tabletDefs: Map, penDefs: Map, penFamilyDefs: Map, tabletFamilyDefs: Map, brandDefs: Map, pensByFamily: Map, tabletsByFamily: Map, pensByBrand: Map, tabletsByBrand: Map}>}
  */
 export async function fetchAndParseJSON(compatUrl, tabletsUrl, pensUrl, fetchImpl = fetch) {
     const [compatRes, tabletsRes, pensRes] = await Promise.all([
@@ -21,13 +30,83 @@ export async function fetchAndParseJSON(compatUrl, tabletsUrl, pensUrl, fetchImp
     const tabletsData = await tabletsRes.json();
     const pensData = await pensRes.json();
 
+    const defs = parseDefinitions(tabletsData, pensData);
+    const familyToPens = buildFamilyMembers(Array.from(defs.penDefs, ([id, def]) => ({ id, familyId: def.familyId })));
+    const familyToTablets = buildFamilyMembers(Array.from(defs.tabletDefs, ([id, def]) => ({ id, familyId: def.familyId })));
+    const { pairs } = expandCompatRows(compatData.compatrows, familyToPens, familyToTablets);
+
+    return { pairs, ...indexPairs(pairs), ...defs };
+}
+
+/**
+ * Fetches the data in the compact format (see data-format.js) from a data directory:
+ * the manifest, the core file and, if the pairs are split by tablet brand, the chunks for
+ * `brands`. Directories without a manifest (snapshots published before the format existed)
+ * are read with fetchAndParseJSON.
+ * @param {string} dataDir - URL of the directory, e.g. `${base}/data`.
+ * @param {(input: RequestInfo | URL, init?: RequestInit) => Promise<Response>} fetchImpl
+ * @param {{brands?: string[]}} [options] - Tablet brands whose pairs are needed; all if omitted.
+ * @returns {Promise<Object>} What fetchAndParseJSON returns, plus `brands`: the tablet brands
+ *   whose pairs were loaded, or null when all were.
+ */
+export async function fetchCompatibilityData(dataDir, fetchImpl = fetch, { brands } = {}) {
+    const manifest = await fetchDataManifest(`${dataDir}/${MANIFEST_FILE}`, fetchImpl);
+
+    if (!manifest) {
+        const data = await fetchAndParseJSON(
+            `${dataDir}/wacom-pen-compat.json`,
+            `${dataDir}/wacom-tablets.json`,
+            `${dataDir}/wacom-pens.json`,
+            fetchImpl
+        );
+        return { ...data, brands: null };
+    }
+
+    if (!SUPPORTED_DATA_FORMATS.includes(manifest.format)) {
+        throw new Error(`Unsupported data format ${manifest.format}`);
+    }
+
+    const chunkFiles = Object.entries(manifest.pairChunks || {})
+        .filter(([brand]) => !brands || brands.includes(brand))
+        .map(([, file]) => file);
+    const [core, ...chunks] = await Promise.all(
+        [manifest.core, ...chunkFiles].map((file) => fetchJSON(`${dataDir}/${file}`, fetchImpl))
+    );
+    const complete = !manifest.pairChunks || chunkFiles.length === Object.keys(manifest.pairChunks).length;
+
+    return {
+        ...decodePairs(core, chunks, manifest.format),
+        ...parseDefinitions(core, core, core.branddefs),
+        brands: complete ? null : [...brands]
+    };
+}
+
+// The parsed JSON at `url`; `notFound`, if given, is returned for a 404 instead of throwing.
+async function fetchJSON(url, fetchImpl, options = {}) {
+    const res = await fetchImpl(url);
+
+    if (res.status === 404 && 'notFound' in options) {
+        return options.notFound;
+    }
+
+    if (!res.ok) {
+        throw new Error(`Network response was not ok`);
+    }
+
+    return res.json();
+}
+
+// Definition maps from the `tabletdefs`/`tabletfamilydefs` and `pendefs`/`penfamilydefs` lists,
+// and the brand registry (missing from the old data files).
+function parseDefinitions(tabletsData, pensData, branddefs = []) {
     const tabletDefs = new Map();
     const penDefs = new Map();
     const penFamilyDefs = new Map();
     const tabletFamilyDefs = new Map();
     const penFamilyBrands = new Map();
     const tabletFamilyBrands = new Map();
-    const familyToPens = new Map(); // Map<FamilyID, Set<PenID>>
+    const penFamilyOverrides = new Map();
+    const tabletFamilyOverrides = new Map();
 
     // Parse Definitions
     tabletsData.tabletdefs.forEach(def => {
@@ -35,7 +114,10 @@ export async function fetchAndParseJSON(compatUrl, tabletsUrl, pensUrl, fetchImp
             brand: def.brand || '',
             name: def.name || '',
             fullName: def.fullname || '',
-            familyId: def.familyid || ''
+            familyId: def.familyid || '',
+            type: def.type || '',
+            attributes: def.attributes || {},
+            override: def.override || ''
         });
     });
 
@@ -46,20 +128,18 @@ export async function fetchAndParseJSON(compatUrl, tabletsUrl, pensUrl, fetchImp
             brand: def.brand || '',
             name: def.name || '',
             fullName: def.fullname || '',
-            familyId: familyId
+            familyId: familyId,
+            year: def.year || '',
+            attributes: def.attributes || {},
+            override: def.override || ''
         });
-        if (familyId) {
-            if (!familyToPens.has(familyId)) {
-                familyToPens.set(familyId, new Set());
-            }
-            familyToPens.get(familyId).add(id);
-        }
     });
 
     if (pensData.penfamilydefs) {
         pensData.penfamilydefs.forEach(def => {
             penFamilyDefs.set(def.id, def.name);
             if (def.brand) penFamilyBrands.set(def.id, def.brand);
+            if (def.override) penFamilyOverrides.set(def.id, def.override);
         });
     }
 
@@ -67,121 +147,105 @@ export async function fetchAndParseJSON(compatUrl, tabletsUrl, pensUrl, fetchImp
         tabletsData.tabletfamilydefs.forEach(def => {
             tabletFamilyDefs.set(def.id, def.name);
             if (def.brand) tabletFamilyBrands.set(def.id, def.brand);
+            if (def.override) tabletFamilyOverrides.set(def.id, def.override);
         });
     }
 
-    // Process Rows & Validation
-    const pairRows = [];
-    const seenPairs = new Set();
-    const pairOccurrences = new Map();
-    (compatData.compatrows || []).forEach(row => {
-        const rowTablets = new Set(row.tablets || []);
-        const rowPens = new Set(row.pens || []);
-
-        if (row.penfamilies) {
-            row.penfamilies.forEach(familyId => {
-                if (familyToPens.has(familyId)) {
-                    familyToPens.get(familyId).forEach(penId => rowPens.add(penId));
-                } else {
-                    console.warn(`Unknown pen family '${familyId}' used in compatibility row.`);
-                }
-            });
-        }
-
-        rowTablets.forEach(tabletId => {
-            rowPens.forEach(penId => {
-                const key = `${tabletId}\u0000${penId}`;
-                const nextCount = (pairOccurrences.get(key) || 0) + 1;
-                pairOccurrences.set(key, nextCount);
-                if (seenPairs.has(key)) return;
-                seenPairs.add(key);
-                pairRows.push({ tabletId, penId });
-            });
-        });
-    });
-
-    pairRows.sort((a, b) => {
-        const tabletCompared = a.tabletId.localeCompare(b.tabletId, undefined, { numeric: true, sensitivity: 'base' });
-        if (tabletCompared !== 0) return tabletCompared;
-        return a.penId.localeCompare(b.penId, undefined, { numeric: true, sensitivity: 'base' });
-    });
+    return {
+        tabletDefs,
+        penDefs,
+        penFamilyDefs,
+        tabletFamilyDefs,
+        penFamilyBrands,
+        tabletFamilyBrands,
+        penFamilyOverrides,
+        tabletFamilyOverrides,
+        brandDefs: parseBrandDefs(branddefs, [
+            ...Array.from(tabletDefs.values(), (def) => def.brand),
+            ...Array.from(penDefs.values(), (def) => def.brand),
+            ...penFamilyBrands.values(),
+            ...tabletFamilyBrands.values()
+        ]),
+        pensByFamily: groupIds(penDefs, 'familyId'),
+        tabletsByFamily: groupIds(tabletDefs, 'familyId'),
+        pensByBrand: groupIds(penDefs, 'brand'),
+        tabletsByBrand: groupIds(tabletDefs, 'brand')
+    };
+}
 
-    const missingTabletDefs = new Set();
-    const missingPenDefs = new Map(); // Map<PenID, Set<TabletID>>
-    const usedTablets = new Set();
-    const usedPens = new Set();
-
-    // Validation Logic against flat pair source
-    pairRows.forEach(({ tabletId, penId }) => {
-        usedTablets.add(tabletId);
-        usedPens.add(penId);
-
-        if (!tabletDefs.has(tabletId)) {
-            missingTabletDefs.add(tabletId);
-        }
-
-        if (!penDefs.has(penId)) {
-            if (!missingPenDefs.has(penId)) {
-                missingPenDefs.set(penId, new Set());
-            }
-            missingPenDefs.get(penId).add(tabletId);
-        }
+// Map<value of def[field], sorted device ids>, skipping devices where it is empty.
+function groupIds(defs, field) {
+    const groups = new Map();
+    defs.forEach((def, id) => {
+        if (!def[field]) return;
+        if (!groups.has(def[field])) groups.set(def[field], []);
+        groups.get(def[field]).push(id);
     });
+    groups.forEach(ids => ids.sort(compareIds));
+    return groups;
+}
 
-    if (missingTabletDefs.size > 0) {
-        console.warn('Missing tablet definitions:', Array.from(missingTabletDefs).sort());
-    }
-
-    if (missingPenDefs.size > 0) {
-        console.warn('Missing pen definitions:');
-        const sortedMissing = Array.from(missingPenDefs.keys()).sort();
-        sortedMissing.forEach(penId => {
-            const tablets = Array.from(missingPenDefs.get(penId)).sort().join(', ');
-            console.warn(`  - ${penId} (referenced by: ${tablets})`);
-        });
-    }
-
-    // Check for unused tablet definitions
-    const unusedTabletDefs = [];
-    tabletDefs.forEach((_, id) => {
-        if (!usedTablets.has(id)) {
-            unusedTabletDefs.push(id);
-        }
+// Each tablet's and each pen's pairs, in the order of `pairs`.
+function indexPairs(pairs) {
+    const pairsByTablet = new Map();
+    const pairsByPen = new Map();
+    pairs.forEach(pair => {
+        if (!pairsByTablet.has(pair.tabletId)) pairsByTablet.set(pair.tabletId, []);
+        if (!pairsByPen.has(pair.penId)) pairsByPen.set(pair.penId, []);
+        pairsByTablet.get(pair.tabletId).push(pair);
+        pairsByPen.get(pair.penId).push(pair);
     });
+    return { pairsByTablet, pairsByPen };
+}
 
-    if (unusedTabletDefs.length > 0) {
-        console.warn('Unused tablet definitions:', unusedTabletDefs.sort());
-    }
-
-    // Check for unused pen definitions
-    const unusedPenDefs = [];
-    penDefs.forEach((_, id) => {
-        if (!usedPens.has(id)) {
-            unusedPenDefs.push(id);
-        }
-    });
+/**
+ * Fetches the data-quality report precomputed by scripts/generate-data.js.
+ * @param {string} diagnosticsUrl - The URL to the diagnostics JSON file.
+ * @param {(input: RequestInfo | URL, init?: RequestInit) => Promise<Response>} fetchImpl
+ * @returns {Promise<Object>}
+ */
+export function fetchDiagnosticsReport(diagnosticsUrl, fetchImpl = fetch) {
+    return fetchJSON(diagnosticsUrl, fetchImpl);
+}
 
-    if (unusedPenDefs.length > 0) {
-        console.warn('Unused pen definitions:', unusedPenDefs.sort());
-    }
+/**
+ * Fetches the search index precomputed by scripts/generate-data.js (see fuzzy-search.js).
+ * @param {string} searchIndexUrl - The URL to search-index.json.
+ * @param {(input: RequestInfo | URL, init?: RequestInit) => Promise<Response>} fetchImpl
+ * @returns {Promise<{pens: Object[], tablets: Object[], penFamilies: Object[], tabletFamilies: Object[]}>}
+ */
+export function fetchSearchIndex(searchIndexUrl, fetchImpl = fetch) {
+    return fetchJSON(searchIndexUrl, fetchImpl);
+}
 
-    const duplicatePairs = Array.from(pairOccurrences.entries())
-        .filter(([, occurrences]) => occurrences > 1)
-        .map(([key, occurrences]) => {
-            const [tabletId, penId] = key.split('\u0000');
-            return { tabletId, penId, occurrences };
-        })
-        .sort((a, b) => {
-            const tabletCompared = a.tabletId.localeCompare(b.tabletId, undefined, { numeric: true, sensitivity: 'base' });
-            if (tabletCompared !== 0) return tabletCompared;
-            return a.penId.localeCompare(b.penId, undefined, { numeric: true, sensitivity: 'base' });
-        });
+/**
+ * Fetches the history of data changes written by scripts/generate-data.js (see data-changes.js).
+ * @param {string} changelogUrl - The URL to changelog.json.
+ * @param {(input: RequestInfo | URL, init?: RequestInit) => Promise<Response>} fetchImpl
+ * @returns {Promise<{entries: Object[]}>} entries newest first
+ */
+export function fetchChangelog(changelogUrl, fetchImpl = fetch) {
+    return fetchJSON(changelogUrl, fetchImpl);
+}
 
-    const diagnostics = {
-        pensWithoutTablets: unusedPenDefs.sort(),
-        tabletsWithoutPens: unusedTabletDefs.sort(),
-        duplicatePairs,
-    };
+/**
+ * Fetches the list of dated data snapshots written by scripts/generate-data.js (see snapshots.js).
+ * @param {string} snapshotIndexUrl - The URL to snapshots/index.json.
+ * @param {(input: RequestInfo | URL, init?: RequestInit) => Promise<Response>} fetchImpl
+ * @returns {Promise<{snapshots: {key: string, date: string, generatedAtIso: string, dataRevision: string}[]}>} newest first
+ */
+export function fetchSnapshotIndex(snapshotIndexUrl, fetchImpl = fetch) {
+    return fetchJSON(snapshotIndexUrl, fetchImpl);
+}
 
-    return { pairs: pairRows, tabletDefs, penDefs, penFamilyDefs, tabletFamilyDefs, penFamilyBrands, tabletFamilyBrands, diagnostics };
+/**
+ * Fetches the manifest of the compact data format written by scripts/generate-data.js
+ * (see data-format.js). Its `hash` changes whenever the published data does.
+ * @param {string} manifestUrl - The URL to manifest.json.
+ * @param {(input: RequestInfo | URL, init?: RequestInit) => Promise<Response>} fetchImpl
+ * @returns {Promise<{format: number, hash: string, core: string, pairChunks?: Object<string, string>} | null>}
+ *   null if the directory has no manifest (data published before the compact format)
+ */
+export function fetchDataManifest(manifestUrl, fetchImpl = fetch) {
+    return fetchJSON(manifestUrl, fetchImpl, { notFound: null });
 }
@@ -0,0 +1,231 @@
+/**
+ * Documents served by the static JSON API under /api/v1/ (see static/api/v1/schema.json).
+ * Built from the same parsed data (getCompatibilityData) and inference helpers as the
+ * detail page loaders. Fields may be added within v1; renaming or removing one needs v2.
+ */
+
+import { compareIds } from './compat-pairs.js';
+import { compareTechnology, inferPensForTablet, inferTabletsForPen } from './compat-inference.js';
+
+export const API_VERSION = 'v1';
+
+/**
+ * URL of an API document, e.g. `apiHref(base, 'tablets', 'PTH-660')`.
+ * @param {string} basePath
+ * @param {'tablets'|'pens'|'families/pens'|'families/tablets'} collection
+ * @param {string} id
+ */
+export function apiHref(basePath, collection, id) {
+  return `${basePath}/api/${API_VERSION}/${collection}/${encodeURIComponent(id)}.json`;
+}
+
+function familyRef(familyId, familyDefs) {
+  if (!familyId) return null;
+  return { id: familyId, name: familyDefs.get(familyId) || familyId };
+}
+
+function deviceSummary(id, def, familyDefs) {
+  return {
+    id,
+    name: def?.name || id,
+    fullName: def?.fullName || def?.name || id,
+    brand: def?.brand || '',
+    family: familyRef(def?.familyId, familyDefs)
+  };
+}
+
+function describeSources(pair) {
+  return pair.sources.map(({ file, index, override, via, familyId, tabletVia, tabletFamilyId }) => ({
+    file: file || null,
+    index: index ?? null,
+    override: override || null,
+    pen: via === 'penfamily' ? { via: 'family', familyId } : { via: 'direct' },
+    tablet: tabletVia === 'tabletfamily' ? { via: 'family', familyId: tabletFamilyId } : { via: 'direct' }
+  }));
+}
+
+function technologyCheck(penDef, tabletDef) {
+  const technology = compareTechnology(penDef, tabletDef);
+  return technology?.verdict === 'likely-incompatible' ? technology.reason : null;
+}
+
+/**
+ * @param {string} tabletId
+ * @param {Object} data - From getCompatibilityData.
+ * @returns {Object|null} null for an unknown tablet
+ */
+export function buildTabletDocument(tabletId, data) {
+  const tabletDef = data.tabletDefs.get(tabletId);
+  if (!tabletDef) return null;
+
+  const compatiblePens = (data.pairsByTablet.get(tabletId) || [])
+    .map((pair) => {
+      const penDef = data.penDefs.get(pair.penId);
+      return {
+        ...deviceSummary(pair.penId, penDef, data.penFamilyDefs),
+        sources: describeSources(pair),
+        check: technologyCheck(penDef, tabletDef)
+      };
+    });
+
+  const inferredPens = inferPensForTablet(tabletId, data).map(({ penId, verdict, basis, reason }) => ({
+    ...deviceSummary(penId, data.penDefs.get(penId), data.penFamilyDefs),
+    verdict,
+    basis,
+    reason
+  }));
+
+  return {
+    apiVersion: API_VERSION,
+    ...deviceSummary(tabletId, tabletDef, data.tabletFamilyDefs),
+    type: tabletDef.type || null,
+    attributes: tabletDef.attributes || {},
+    override: tabletDef.override || null,
+    compatiblePens,
+    inferredPens
+  };
+}
+
+/**
+ * @param {string} penId
+ * @param {Object} data - From getCompatibilityData.
+ * @returns {Object|null} null for an unknown pen
+ */
+export function buildPenDocument(penId, data) {
+  const penDef = data.penDefs.get(penId);
+  if (!penDef) return null;
+
+  const compatibleTablets = (data.pairsByPen.get(penId) || [])
+    .map((pair) => {
+      const tabletDef = data.tabletDefs.get(pair.tabletId);
+      return {
+        ...deviceSummary(pair.tabletId, tabletDef, data.tabletFamilyDefs),
+        sources: describeSources(pair),
+        check: technologyCheck(penDef, tabletDef)
+      };
+    });
+
+  const inferredTablets = inferTabletsForPen(penId, data).map(({ tabletId, verdict, basis, reason }) => ({
+    ...deviceSummary(tabletId, data.tabletDefs.get(tabletId), data.tabletFamilyDefs),
+    verdict,
+    basis,
+    reason
+  }));
+
+  return {
+    apiVersion: API_VERSION,
+    ...deviceSummary(penId, penDef, data.penFamilyDefs),
+    year: penDef.year || null,
+    attributes: penDef.attributes || {},
+    override: penDef.override || null,
+    compatibleTablets,
+    inferredTablets
+  };
+}
+
+function buildFamilyDocument(kind, familyId, data) {
+  const isPen = kind === 'pen';
+  const familyDefs = isPen ? data.penFamilyDefs : data.tabletFamilyDefs;
+  const name = familyDefs.get(familyId);
+  if (!name) return null;
+
+  const defs = isPen ? data.penDefs : data.tabletDefs;
+  const memberIds = (isPen ? data.pensByFamily : data.tabletsByFamily).get(familyId) || [];
+  const pairsByMember = isPen ? data.pairsByPen : data.pairsByTablet;
+
+  // Counterparts that work with at least one member, and which members they work with.
+  const counterparts = new Map();
+  for (const memberId of memberIds) {
+    for (const pair of pairsByMember.get(memberId) || []) {
+      const otherId = isPen ? pair.tabletId : pair.penId;
+      if (!counterparts.has(otherId)) counterparts.set(otherId, []);
+      counterparts.get(otherId).push(memberId);
+    }
+  }
+
+  const otherDefs = isPen ? data.tabletDefs : data.penDefs;
+  const otherFamilyDefs = isPen ? data.tabletFamilyDefs : data.penFamilyDefs;
+  const compatible = Array.from(counterparts.keys())
+    .sort(compareIds)
+    .map((id) => ({
+      ...deviceSummary(id, otherDefs.get(id), otherFamilyDefs),
+      memberIds: counterparts.get(id).sort(compareIds)
+    }));
+
+  return {
+    apiVersion: API_VERSION,
+    kind: isPen ? 'penFamily' : 'tabletFamily',
+    id: familyId,
+    name,
+    brand: (isPen ? data.penFamilyBrands : data.tabletFamilyBrands)?.get(familyId) || '',
+    override: (isPen ? data.penFamilyOverrides : data.tabletFamilyOverrides)?.get(familyId) || null,
+    members: memberIds.map((id) => deviceSummary(id, defs.get(id), familyDefs)),
+    [isPen ? 'compatibleTablets' : 'compatiblePens']: compatible
+  };
+}
+
+/**
+ * @param {string} familyId
+ * @param {Object} data - From getCompatibilityData.
+ * @returns {Object|null} null for an unknown family
+ */
+export function buildPenFamilyDocument(familyId, data) {
+  return buildFamilyDocument('pen', familyId, data);
+}
+
+/**
+ * @param {string} familyId
+ * @param {Object} data - From getCompatibilityData.
+ * @returns {Object|null} null for an unknown family
+ */
+export function buildTabletFamilyDocument(familyId, data) {
+  return buildFamilyDocument('tablet', familyId, data);
+}
+
+/**
+ * Ids served by each collection, used to prerender the endpoints.
+ * @param {Object} data - From getCompatibilityData.
+ */
+export function listApiIds(data) {
+  return {
+    tablets: Array.from(data.tabletDefs.keys()).sort(compareIds),
+    pens: Array.from(data.penDefs.keys()).sort(compareIds),
+    penFamilies: Array.from(data.penFamilyDefs.keys()).sort(compareIds),
+    tabletFamilies: Array.from(data.tabletFamilyDefs.keys()).sort(compareIds)
+  };
+}
+
+/**
+ * The /api/v1/index.json document: every device and family with the URL of its document.
+ * @param {Object} data - From getCompatibilityData.
+ * @param {string} basePath
+ */
+export function buildApiIndex(data, basePath) {
+  const ids = listApiIds(data);
+  const entry = (collection, id, def, familyDefs) => ({
+    ...deviceSummary(id, def, familyDefs),
+    url: apiHref(basePath, collection, id)
+  });
+  const familyEntry = (collection, id, name, brands) => ({
+    id,
+    name,
+    brand: brands?.get(id) || '',
+    url: apiHref(basePath, collection, id)
+  });
+
+  return {
+    apiVersion: API_VERSION,
+    counts: {
+      tablets: ids.tablets.length,
+      pens: ids.pens.length,
+      penFamilies: ids.penFamilies.length,
+      tabletFamilies: ids.tabletFamilies.length,
+      pairs: data.pairs.length
+    },
+    brands: Array.from(data.brandDefs, ([id, def]) => ({ id, ...def })),
+    tablets: ids.tablets.map((id) => entry('tablets', id, data.tabletDefs.get(id), data.tabletFamilyDefs)),
+    pens: ids.pens.map((id) => entry('pens', id, data.penDefs.get(id), data.penFamilyDefs)),
+    penFamilies: ids.penFamilies.map((id) => familyEntry('families/pens', id, data.penFamilyDefs.get(id), data.penFamilyBrands)),
+    tabletFamilies: ids.tabletFamilies.map((id) => familyEntry('families/tablets', id, data.tabletFamilyDefs.get(id), data.tabletFamilyBrands))
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * Device attributes carried from DrawTabData into penDefs/tabletDefs and shown on detail pages.
+ * scripts/generate-data.js copies every field listed here into `attributes`; to surface a new
+ * DrawTabData field, add an entry. `source` paths are tried in order (first present wins), so
+ * legacy flat names can sit next to the nested ones.
+ */
+
+function formatFlag(value) {
+  if (value === true) return 'Yes';
+  if (value === false) return 'No';
+  const text = String(value).trim();
+  if (/^(yes|true)$/i.test(text)) return 'Yes';
+  if (/^(no|false)$/i.test(text)) return 'No';
+  return text;
+}
+
+function formatDimensions(value) {
+  if (value && typeof value === 'object') {
+    const width = value.Width ?? value.width;
+    const height = value.Height ?? value.height;
+    if (width !== undefined && height !== undefined) return `${width} x ${height} mm`;
+  }
+  return String(value);
+}
+
+// Tablet types (`type` of tabletDefs, the lowercased DrawTabData Model.Type) and their labels,
+// in the order the type filter and "group by type" list them.
+const TABLET_TYPE_LABELS = {
+  pentablet: 'Pen tablet',
+  pendisplay: 'Pen display',
+  pencomputer: 'Pen computer'
+};
+
+/**
+ * Display label for a tablet type, e.g. "pendisplay" or "PENDISPLAY" -> "Pen display".
+ * Unknown types are shown as they are.
+ * @param {string} value
+ */
+export function formatTabletType(value) {
+  return TABLET_TYPE_LABELS[String(value).toLowerCase()] || String(value);
+}
+
+/**
+ * Options for a tablet type filter: the types in `types`, known ones first in
+ * TABLET_TYPE_LABELS order, then the others alphabetically.
+ * @param {Iterable<string>} types - May contain '' and duplicates.
+ * @returns {{id: string, name: string}[]}
+ */
+export function tabletTypeOptions(types) {
+  const order = Object.keys(TABLET_TYPE_LABELS);
+  const rank = (type) => (order.includes(type) ? order.indexOf(type) : order.length);
+  return [...new Set(types)]
+    .filter(Boolean)
+    .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+    .map((id) => ({ id, name: formatTabletType(id) }));
+}
+
+export const PEN_FIELDS = [
+  { key: 'year', label: 'Release year', source: ['PenYear'] },
+  { key: 'technology', label: 'Technology', source: ['PenTech', 'PenTechnology', 'Technology'] },
+  { key: 'battery', label: 'Battery', source: ['PenBattery', 'Battery'], format: formatFlag },
+  { key: 'pressureLevels', label: 'Pressure levels', source: ['PenPressureLevels', 'PressureLevels'] },
+  { key: 'tilt', label: 'Tilt', source: ['PenTilt', 'Tilt'], format: formatFlag },
+  { key: 'eraser', label: 'Eraser', source: ['PenEraser', 'Eraser'], format: formatFlag },
+  { key: 'buttons', label: 'Buttons', source: ['PenButtons', 'Buttons'] },
+];
+
+export const TABLET_FIELDS = [
+  { key: 'type', label: 'Type', source: ['Model.Type', 'ModelType'], format: formatTabletType },
+  { key: 'year', label: 'Release year', source: ['Model.LaunchYear', 'ModelLaunchYear'] },
+  { key: 'technology', label: 'Pen technology', source: ['Digitizer.Type', 'DigitizerType'] },
+  { key: 'pressureLevels', label: 'Pressure levels', source: ['Digitizer.PressureLevels', 'DigitizerPressureLevels'] },
+  { key: 'tilt', label: 'Tilt', source: ['Digitizer.Tilt', 'DigitizerTilt'], format: formatFlag },
+  { key: 'activeArea', label: 'Active area', source: ['Digitizer.Dimensions', 'DigitizerDimensions'], format: formatDimensions },
+];
+
+function getPath(record, path) {
+  let value = record;
+  for (const part of path.split('.')) {
+    if (value === null || typeof value !== 'object') return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+/**
+ * Copies the listed fields from a raw DrawTabData record, skipping empty values.
+ * @param {Object} record
+ * @param {{key: string, source: string[]}[]} fields
+ * @returns {Record<string, any>}
+ */
+export function extractAttributes(record, fields) {
+  const attributes = {};
+  for (const field of fields) {
+    for (const path of field.source) {
+      const value = getPath(record, path);
+      if (value === undefined || value === null || value === '') continue;
+      attributes[field.key] = value;
+      break;
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Turns stored attributes into display rows, in field-list order.
+ * @param {Record<string, any>} attributes
+ * @param {{key: string, label: string, format?: (value: any) => string}[]} fields
+ * @returns {{key: string, label: string, value: string}[]}
+ */
+export function describeAttributes(attributes, fields) {
+  if (!attributes) return [];
+  return fields
+    .filter((field) => attributes[field.key] !== undefined)
+    .map((field) => ({
+      key: field.key,
+      label: field.label,
+      value: field.format ? field.format(attributes[field.key]) : String(attributes[field.key])
+    }));
+}
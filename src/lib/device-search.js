@@ -1,29 +1,37 @@
-function parseSearchTokens(input) {
-  if (!input) return [];
+import { parseQuery, matchesQuery } from './search-query.js';
+import { buildSearchEntry, rankSearchEntries } from './fuzzy-search.js';
 
-  const tokens = [];
-  const regex = /"([^"]+)"|(\S+)/g;
-  let match;
+/**
+ * Filters and ranks list items by a search query (see search-query.js for the syntax).
+ * Plain words are matched typo-tolerantly against the precomputed search index and order
+ * the results by relevance; qualifiers, globs, negations and OR queries filter exactly.
+ * @param {Object[]} items
+ * @param {string|{groups: Object[][]}} search - Query string, or a query from parseQuery.
+ * @param {{index?: {id: string, keys: Object[]}[], toRecord?: (item: Object) => Object}} [options]
+ *   `index` is one list of search-index.json; `toRecord` maps an item to the record that is
+ *   searched, whose `id` is looked up in the index.
+ * @returns {{items: Object[], words: string[]}} matching items, and the words to highlight
+ */
+export function searchDevices(items, search, { index = [], toRecord = (item) => item } = {}) {
+  const query = typeof search === 'string' ? parseQuery(search) : search;
+  const group = query.groups.length === 1 ? query.groups[0] : [];
+  const fuzzyTerms = group.filter((term) => term.field === null && !term.negate && !/[*?]/.test(term.text));
 
-  while ((match = regex.exec(input)) !== null) {
-    if (match[1]) {
-      tokens.push(match[1].toLowerCase());
-    } else if (match[2]) {
-      tokens.push(match[2].toLowerCase());
-    }
+  if (fuzzyTerms.length === 0) {
+    return { items: items.filter((item) => matchesQuery(query, [toRecord(item)])), words: [] };
   }
 
-  return tokens;
-}
-
-export function matchesDeviceSearch(item, searchTerm) {
-  const tokens = parseSearchTokens(searchTerm);
-  if (tokens.length === 0) return true;
+  const words = fuzzyTerms.map((term) => term.text);
+  const exact = { groups: [group.filter((term) => !fuzzyTerms.includes(term))] };
+  const entriesById = new Map(index.map((entry) => [entry.id, entry]));
+  const records = items.map(toRecord);
+  // Items missing from the index (e.g. ids only referenced by compat rows) are indexed here.
+  const scores = rankSearchEntries(records.map((record) => entriesById.get(record.id) || buildSearchEntry(record)), words);
 
-  const haystack = [item.id, item.name, item.family]
-    .filter(Boolean)
-    .join(' ')
-    .toLowerCase();
-
-  return tokens.every((token) => haystack.includes(token));
-}
\ No newline at end of file
+  const ranked = items
+    .map((item, i) => ({ item, record: records[i] }))
+    .filter(({ record }) => scores.has(record.id) && matchesQuery(exact, [record]))
+    .sort((a, b) => scores.get(b.record.id) - scores.get(a.record.id))
+    .map(({ item }) => item);
+  return { items: ranked, words };
+}
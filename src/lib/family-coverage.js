@@ -0,0 +1,36 @@
+/**
+ * How well the devices that work with a family's members cover the family, for the family
+ * detail pages: on a pen family, which tablets support every pen in it and which only some;
+ * on a tablet family, the same for pens. Like compareTablets (tablet-compare.js), with the
+ * family's members as the columns.
+ * @param {string[]} memberIds - The family's devices, in column order.
+ * @param {Map<string, Object[]>} pairsByMember - `data.pairsByPen` for a pen family,
+ *   `data.pairsByTablet` for a tablet family.
+ * @param {'tabletId'|'penId'} partnerKey - The pair field holding the other device's id.
+ * @returns {{rows: {id: string, supported: boolean[], count: number, missing: string[]}[], fullCount: number}}
+ *   One row per device that works with at least one member, those that work with more
+ *   members first; `missing` lists the members it is not known to work with. `fullCount` is
+ *   the number of rows that work with every member.
+ */
+export function familyCoverage(memberIds, pairsByMember, partnerKey) {
+  const partnerSets = memberIds.map((id) => new Set((pairsByMember.get(id) || []).map((pair) => pair[partnerKey])));
+  const partners = new Set();
+  partnerSets.forEach((ids) => ids.forEach((id) => partners.add(id)));
+
+  const rows = Array.from(partners)
+    .map((id) => {
+      const supported = partnerSets.map((ids) => ids.has(id));
+      return {
+        id,
+        supported,
+        count: supported.filter(Boolean).length,
+        missing: memberIds.filter((_, i) => !supported[i])
+      };
+    })
+    .sort((a, b) => b.count - a.count || a.id.localeCompare(b.id, undefined, { numeric: true }));
+
+  return {
+    rows,
+    fullCount: rows.filter((row) => row.count === memberIds.length).length
+  };
+}
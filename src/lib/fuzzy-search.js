@@ -0,0 +1,211 @@
+/**
+ * Typo-tolerant, ranked device search.
+ * scripts/generate-data.js builds the index (normalised keys per device and family) into
+ * static/data/search-index.json, so pages only score entries while the user types.
+ * Normalisation ignores case, spaces, hyphens and punctuation: "KP504", "kp-504e" and
+ * "KP 504E" all match KP-504E.
+ */
+
+// Alternative spellings and abbreviations, keyed by the phrase that appears in names.
+export const SEARCH_ALIASES = {
+  'pro pen 2': ['pp2'],
+  'pro pen 3': ['pp3'],
+  'pro pen 3d': ['pp3d'],
+  'pro pen slim': ['pps'],
+  'xp-pen': ['xppen', 'xp pen'],
+  'galaxy tab': ['tab'],
+  'wacom one': ['w1'],
+};
+
+const FIELD_WEIGHTS = { id: 1, name: 1, fullName: 1, alias: 1, family: 0.5 };
+
+/**
+ * Lower-cases and drops everything but letters and digits.
+ * @param {string} text
+ */
+export function normalizeSearchText(text) {
+  return String(text ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+function splitWords(text) {
+  return String(text ?? '').split(/[^\p{L}\p{N}]+/u).map(normalizeSearchText).filter(Boolean);
+}
+
+function buildKey(field, text) {
+  return { field, text: normalizeSearchText(text), words: splitWords(text) };
+}
+
+/**
+ * Builds the index entry for one list item.
+ * @param {{id: string, name?: string, fullName?: string, family?: string}} item
+ * @returns {{id: string, keys: {field: string, text: string, words: string[]}[]}}
+ */
+export function buildSearchEntry(item) {
+  const keys = [];
+  const seen = new Set();
+  const add = (field, text) => {
+    const key = buildKey(field, text);
+    if (!key.text || seen.has(`${field}:${key.text}`)) return;
+    seen.add(`${field}:${key.text}`);
+    keys.push(key);
+  };
+
+  add('id', item.id);
+  add('name', item.name);
+  add('fullName', item.fullName);
+  add('family', item.family);
+
+  const haystack = [item.name, item.fullName, item.family].filter(Boolean).join(' ').toLowerCase();
+  for (const [phrase, aliases] of Object.entries(SEARCH_ALIASES)) {
+    if (haystack.includes(phrase)) aliases.forEach((alias) => add('alias', alias));
+  }
+
+  return { id: item.id, keys };
+}
+
+/**
+ * Builds the search index written to static/data/search-index.json.
+ * @param {Object<string, Object[]>} lists - e.g. `{pens: [...], tablets: [...]}`
+ * @returns {Object<string, {id: string, keys: Object[]}[]>}
+ */
+export function buildSearchIndex(lists) {
+  const index = {};
+  for (const [name, items] of Object.entries(lists)) {
+    index[name] = items.map(buildSearchEntry);
+  }
+  return index;
+}
+
+function maxTypos(length) {
+  if (length < 4) return 0;
+  if (length < 7) return 1;
+  return 2;
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions).
+function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 1; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[rows - 1][cols - 1];
+}
+
+// Distance between a token and a word, also trying the word's prefix of the token's length
+// so that "kp54" still reaches "kp504e".
+function closestDistance(token, word) {
+  return Math.min(editDistance(token, word), editDistance(token, word.slice(0, token.length)));
+}
+
+function fuzzyMatches(token, word) {
+  const limit = maxTypos(token.length);
+  return limit > 0 && closestDistance(token, word) <= limit;
+}
+
+function scoreKey(token, key) {
+  if (key.text === token) return 10;
+  if (key.text.startsWith(token)) return 8;
+  if (key.words.some((word) => word.startsWith(token))) return 7;
+  if (key.text.includes(token)) return 5;
+
+  const limit = maxTypos(token.length);
+  if (limit === 0) return 0;
+  let best = editDistance(token, key.text.slice(0, token.length));
+  for (const word of key.words) {
+    best = Math.min(best, closestDistance(token, word));
+  }
+  return best <= limit ? 4 - best : 0;
+}
+
+/**
+ * Scores index entries against the query words. Every word must match some key, exactly
+ * or within a small number of typos; better and more central matches score higher.
+ * @param {{id: string, keys: Object[]}[]} entries
+ * @param {string[]} words - Plain query words.
+ * @returns {Map<string, number>} score by entry id, only for matching entries
+ */
+export function rankSearchEntries(entries, words) {
+  const tokens = words.map(normalizeSearchText).filter(Boolean);
+  const scores = new Map();
+  if (tokens.length === 0) return scores;
+
+  for (const entry of entries) {
+    let total = 0;
+    for (const token of tokens) {
+      let best = 0;
+      for (const key of entry.keys) {
+        best = Math.max(best, scoreKey(token, key) * (FIELD_WEIGHTS[key.field] ?? 1));
+      }
+      if (best === 0) {
+        total = 0;
+        break;
+      }
+      total += best;
+    }
+    if (total > 0) scores.set(entry.id, total);
+  }
+  return scores;
+}
+
+/**
+ * Splits `text` into plain and highlighted segments for the query words: exact
+ * (normalised) matches are highlighted as typed, typo matches as the whole word.
+ * @param {string} text
+ * @param {string[]} words
+ * @returns {{text: string, match: boolean}[]}
+ */
+export function highlightSearchMatches(text, words) {
+  const source = String(text ?? '');
+  const tokens = words.map(normalizeSearchText).filter(Boolean);
+  if (!source || tokens.length === 0) return [{ text: source, match: false }];
+
+  // Normalised characters and their positions in `source`.
+  let normalized = '';
+  const positions = [];
+  Array.from(source).forEach((char, i) => {
+    const folded = normalizeSearchText(char);
+    if (!folded) return;
+    normalized += folded;
+    for (let k = 0; k < folded.length; k++) positions.push(i);
+  });
+  const chars = Array.from(source);
+  const marked = new Array(chars.length).fill(false);
+
+  for (const token of tokens) {
+    let from = normalized.indexOf(token);
+    if (from !== -1) {
+      while (from !== -1) {
+        for (let i = positions[from]; i <= positions[from + token.length - 1]; i++) marked[i] = true;
+        from = normalized.indexOf(token, from + token.length);
+      }
+      continue;
+    }
+
+    const wordRegex = /[\p{L}\p{N}]+/gu;
+    let match;
+    while ((match = wordRegex.exec(source)) !== null) {
+      if (!fuzzyMatches(token, normalizeSearchText(match[0]))) continue;
+      const start = Array.from(source.slice(0, match.index)).length;
+      const length = Array.from(match[0]).length;
+      for (let i = start; i < start + length; i++) marked[i] = true;
+    }
+  }
+
+  const segments = [];
+  chars.forEach((char, i) => {
+    const last = segments[segments.length - 1];
+    if (last && last.match === marked[i]) last.text += char;
+    else segments.push({ text: char, match: marked[i] });
+  });
+  return segments;
+}
@@ -0,0 +1,91 @@
+/**
+ * "My gear" inventory: the pens and tablets a user owns, and the
+ * cross-compatibility report shown on /mygear/.
+ */
+
+import { parseIdListParam } from './tablet-url.js';
+
+export const GEAR_STORAGE_KEY = 'drawtabpencompat-my-gear';
+const GEAR_FORMAT_VERSION = 1;
+
+function uniqueIds(value) {
+  if (!Array.isArray(value)) return [];
+  return [...new Set(value.filter((id) => typeof id === 'string' && id.trim()).map((id) => id.trim()))];
+}
+
+/**
+ * @param {any} value
+ * @returns {{pens: string[], tablets: string[]}}
+ */
+export function normalizeGear(value) {
+  return {
+    pens: uniqueIds(value?.pens),
+    tablets: uniqueIds(value?.tablets)
+  };
+}
+
+export function serializeGear(gear) {
+  return JSON.stringify({ version: GEAR_FORMAT_VERSION, ...normalizeGear(gear) }, null, 2);
+}
+
+/**
+ * Parses an exported gear file.
+ * @throws {Error} when the text is not a gear export
+ */
+export function parseGearJson(text) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch {
+    throw new Error('Not a valid JSON file');
+  }
+  if (!value || typeof value !== 'object' || (!Array.isArray(value.pens) && !Array.isArray(value.tablets))) {
+    throw new Error('JSON file does not contain "pens" or "tablets"');
+  }
+  return normalizeGear(value);
+}
+
+export function buildGearHref(basePath, gear) {
+  const params = [];
+  if (gear.pens.length) params.push(`pens=${gear.pens.map(encodeURIComponent).join(',')}`);
+  if (gear.tablets.length) params.push(`tablets=${gear.tablets.map(encodeURIComponent).join(',')}`);
+  return `${basePath}/mygear/${params.length ? `?${params.join('&')}` : ''}`;
+}
+
+/**
+ * @returns {{pens: string[], tablets: string[]} | null} null when the query holds no gear
+ */
+export function parseGearQuery(search) {
+  const pens = parseIdListParam(search, 'pens');
+  const tablets = parseIdListParam(search, 'tablets');
+  if (!pens && !tablets) return null;
+  return normalizeGear({ pens: pens || [], tablets: tablets || [] });
+}
+
+/**
+ * @param {{pens: string[], tablets: string[]}} gear
+ * @param {Map<string, Set<string>>} pensByTablet - Compatible pen ids per tablet.
+ * @returns {{pens: {penId: string, tabletIds: string[]}[], orphanedPens: string[], tabletsForAllPens: string[]}}
+ *   `pens` lists the owned tablets each owned pen works with; `tabletsForAllPens` are
+ *   tablets not owned that support every owned pen.
+ */
+export function buildGearReport(gear, pensByTablet) {
+  const pens = gear.pens.map((penId) => ({
+    penId,
+    tabletIds: gear.tablets.filter((tabletId) => pensByTablet.get(tabletId)?.has(penId))
+  }));
+
+  const owned = new Set(gear.tablets);
+  const tabletsForAllPens = gear.pens.length === 0
+    ? []
+    : Array.from(pensByTablet.entries())
+      .filter(([tabletId, tabletPens]) => !owned.has(tabletId) && gear.pens.every((penId) => tabletPens.has(penId)))
+      .map(([tabletId]) => tabletId)
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  return {
+    pens,
+    orphanedPens: pens.filter((pen) => pen.tabletIds.length === 0).map((pen) => pen.penId),
+    tabletsForAllPens
+  };
+}
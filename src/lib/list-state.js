@@ -0,0 +1,56 @@
+/**
+ * Filter, grouping and sort state of the list and compatibility pages, kept in the query
+ * string so that a filtered view can be bookmarked and shared, e.g.
+ * `/pens/?q=pro+pen&brand=wacom&group=family`. Values equal to the page's default are
+ * left out, so an unfiltered page keeps its plain URL.
+ */
+
+import { QUERY_PARAM } from './search-query.js';
+
+// State variable names, as used by the pages, and their query parameters.
+export const LIST_STATE_PARAMS = {
+  searchTerm: QUERY_PARAM,
+  selectedBrand: 'brand',
+  selectedType: 'type',
+  groupBy: 'group',
+  sortKey: 'sort',
+  sortDirection: 'dir',
+  view: 'view'
+};
+
+/**
+ * Reads a page's state from the query string. Keys missing from the URL, or holding a
+ * value outside `allowed`, get their default.
+ * @param {string} search - e.g. `window.location.search`.
+ * @param {Object<string, string>} defaults - The state keys the page uses and their defaults.
+ * @param {Object<string, string[]>} [allowed] - Accepted values per key; unrestricted if absent.
+ * @returns {Object<string, string>}
+ */
+export function readListState(search, defaults, allowed = {}) {
+  const params = new URLSearchParams(search || '');
+  const state = {};
+  for (const [key, fallback] of Object.entries(defaults)) {
+    const value = params.get(LIST_STATE_PARAMS[key]);
+    state[key] = value !== null && (!allowed[key] || allowed[key].includes(value)) ? value : fallback;
+  }
+  return state;
+}
+
+/**
+ * Returns `path?search` with the page's state written to the query string. Parameters the
+ * page does not own are kept; defaults are removed.
+ * @param {string} pathname
+ * @param {string} search
+ * @param {Object<string, string>} state
+ * @param {Object<string, string>} defaults
+ */
+export function buildListStateUrl(pathname, search, state, defaults) {
+  const params = new URLSearchParams(search || '');
+  for (const [key, fallback] of Object.entries(defaults)) {
+    const value = state[key] ?? fallback;
+    if (value && value !== fallback) params.set(LIST_STATE_PARAMS[key], value);
+    else params.delete(LIST_STATE_PARAMS[key]);
+  }
+  const next = params.toString();
+  return next ? `${pathname}?${next}` : pathname;
+}
@@ -0,0 +1,112 @@
+/**
+ * Data for the site-wide search in the nav bar: pens, tablets and both kinds of family,
+ * each searched with the list pages' search (device-search.js) and linked to its detail page.
+ */
+
+import { buildPenDetailHref } from './pen-url.js';
+import { buildTabletDetailHref } from './tablet-url.js';
+import { searchDevices } from './device-search.js';
+
+// Devices that have a (prerendered) detail page: listed in a pair, or a member of a
+// known family, whose page links to it.
+function collectDeviceIds(defs, familyDefs, pairIds) {
+  const ids = new Set(pairIds);
+  defs.forEach((def, id) => {
+    if (def.familyId && familyDefs.has(def.familyId)) ids.add(id);
+  });
+  return Array.from(ids);
+}
+
+function buildDeviceItems(kind, ids, defs, familyDefs, buildHref) {
+  return ids.map((id) => {
+    const def = defs.get(id);
+    const familyId = def?.familyId || '';
+    const brand = def?.brand || '';
+    return {
+      kind,
+      id,
+      name: def?.fullName || def?.name || id,
+      brand,
+      family: familyDefs.get(familyId) || familyId,
+      familyId,
+      type: def?.type,
+      attributes: def?.attributes || {},
+      href: buildHref({ id, brand, name: def?.name || id })
+    };
+  });
+}
+
+function buildFamilyItems(route, familyDefs, familyBrands, basePath) {
+  return Array.from(familyDefs.entries()).map(([familyId, name]) => ({
+    id: name,
+    name,
+    brand: familyBrands?.get(familyId) || '',
+    familyId,
+    href: `${basePath}/${route}/${encodeURIComponent(familyId)}/`
+  }));
+}
+
+/**
+ * Builds the searchable groups, in display order.
+ * @param {Object} data - From getCompatibilityData.
+ * @param {{pens: Object[], tablets: Object[], penFamilies: Object[], tabletFamilies: Object[]}} searchIndex
+ * @param {string} basePath
+ * @returns {{type: string, label: string, items: Object[], index: Object[], toRecord?: Function}[]}
+ */
+export function buildOmniboxSources(data, searchIndex, basePath) {
+  const tabletIds = collectDeviceIds(data.tabletDefs, data.tabletFamilyDefs, data.pairsByTablet.keys());
+  const penIds = collectDeviceIds(data.penDefs, data.penFamilyDefs, data.pairsByPen.keys());
+  const familyRecord = (family) => ({ ...family, id: family.familyId, family: family.name });
+
+  return [
+    {
+      type: 'tablet',
+      label: 'Tablets',
+      items: buildDeviceItems('tablet', tabletIds, data.tabletDefs, data.tabletFamilyDefs,
+        (tablet) => buildTabletDetailHref(basePath, tablet)),
+      index: searchIndex.tablets || []
+    },
+    {
+      type: 'pen',
+      label: 'Pens',
+      items: buildDeviceItems('pen', penIds, data.penDefs, data.penFamilyDefs,
+        (pen) => buildPenDetailHref(basePath, pen)),
+      index: searchIndex.pens || []
+    },
+    {
+      type: 'tabletfamily',
+      label: 'Tablet families',
+      items: buildFamilyItems('tabletfamilies', data.tabletFamilyDefs, data.tabletFamilyBrands, basePath),
+      index: searchIndex.tabletFamilies || [],
+      toRecord: familyRecord
+    },
+    {
+      type: 'penfamily',
+      label: 'Pen families',
+      items: buildFamilyItems('penfamilies', data.penFamilyDefs, data.penFamilyBrands, basePath),
+      index: searchIndex.penFamilies || [],
+      toRecord: familyRecord
+    }
+  ];
+}
+
+/**
+ * Searches every group and keeps the best `limit` results of each.
+ * @param {ReturnType<typeof buildOmniboxSources>} sources
+ * @param {string} search
+ * @param {number} [limit]
+ * @returns {{groups: {type: string, label: string, items: Object[], total: number}[], words: string[]}}
+ */
+export function searchOmnibox(sources, search, limit = 6) {
+  let words = [];
+  const groups = [];
+  if (!search.trim()) return { groups, words };
+
+  for (const source of sources) {
+    const result = searchDevices(source.items, search, { index: source.index, toRecord: source.toRecord });
+    words = result.words;
+    if (result.items.length === 0) continue;
+    groups.push({ type: source.type, label: source.label, items: result.items.slice(0, limit), total: result.items.length });
+  }
+  return { groups, words };
+}
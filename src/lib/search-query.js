@@ -0,0 +1,171 @@
+/**
+ * Search query language shared by the list pages and /pencompat/.
+ *
+ *   kamvas 22                 every term must match (id, name or family)
+ *   "pro pen"                 quoted phrase
+ *   ctl-4*  ?p-9              globs: * any run of characters, ? one character
+ *   brand:wacom               field qualifier (brand, family, type, year, id, name, and any
+ *   family:"Pro Pen 2"        attribute such as technology, tilt, eraser, pressureLevels)
+ *   brand:wacom,huion         comma = either value
+ *   year:>=2019               numeric comparison: > >= < <= =
+ *   -cintiq  -brand:huion     negation
+ *   intuos OR cintiq          OR (or |) separates alternative groups of terms
+ *   tablet:ctl* pen:kp*       on /pencompat/, restrict a term to the tablet or pen side
+ *
+ * Field values are compared whole, ignoring case, spaces, hyphens and underscores, so
+ * `type:pendisplay` and `type:"Pen display"` are the same. A `name:value` token whose name
+ * is not a known field is searched as plain text.
+ */
+
+import { PEN_FIELDS, TABLET_FIELDS } from './device-fields.js';
+
+export const QUERY_PARAM = 'q';
+
+const FIELD_ALIASES = {
+  tech: 'technology',
+  pressure: 'pressureLevels',
+  area: 'activeArea',
+  model: 'id',
+};
+
+const SIDE_FIELDS = ['tablet', 'pen'];
+
+const KNOWN_FIELDS = new Map(
+  ['id', 'name', 'brand', 'family', 'type', 'year', ...PEN_FIELDS.map((f) => f.key), ...TABLET_FIELDS.map((f) => f.key)]
+    .map((key) => [key.toLowerCase(), key])
+);
+
+const TOKEN_REGEX = /(-?)(?:([A-Za-z]\w*):)?(?:"([^"]*)"|(\S+))/g;
+const COMPARISON_REGEX = /^(>=|<=|>|<|=)(.+)$/;
+
+function resolveField(name) {
+  const lower = name.toLowerCase();
+  if (SIDE_FIELDS.includes(lower)) return lower;
+  if (FIELD_ALIASES[lower]) return FIELD_ALIASES[lower];
+  return KNOWN_FIELDS.get(lower) || null;
+}
+
+function normalizeValue(value) {
+  return String(value).toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+function hasGlob(value) {
+  return /[*?]/.test(value);
+}
+
+function createGlobRegex(pattern, anchored) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  const globPattern = escaped.replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(anchored ? `^${globPattern}$` : globPattern, 'i');
+}
+
+function createTextMatcher(text) {
+  if (hasGlob(text)) {
+    const regex = createGlobRegex(text, false);
+    return (value) => regex.test(String(value));
+  }
+  const lower = text.toLowerCase();
+  return (value) => String(value).toLowerCase().includes(lower);
+}
+
+function createValueMatcher(text) {
+  const comparison = COMPARISON_REGEX.exec(text);
+  if (comparison && !Number.isNaN(Number(comparison[2]))) {
+    const [, op, operand] = comparison;
+    const target = Number(operand);
+    return (value) => {
+      const number = parseFloat(value);
+      if (Number.isNaN(number)) return false;
+      if (op === '>') return number > target;
+      if (op === '>=') return number >= target;
+      if (op === '<') return number < target;
+      if (op === '<=') return number <= target;
+      return number === target;
+    };
+  }
+
+  const normalized = normalizeValue(text);
+  if (hasGlob(normalized)) {
+    const regex = createGlobRegex(normalized, true);
+    return (value) => regex.test(normalizeValue(value));
+  }
+  return (value) => normalizeValue(value) === normalized;
+}
+
+function buildTerm(negate, fieldName, text) {
+  const field = fieldName ? resolveField(fieldName) : null;
+  if (fieldName && !field) {
+    return { negate, field: null, text: `${fieldName}:${text}`, matchers: [createTextMatcher(`${fieldName}:${text}`)] };
+  }
+  const alternatives = field && !SIDE_FIELDS.includes(field)
+    ? text.split(',').filter(Boolean)
+    : [text];
+  const createMatcher = field && !SIDE_FIELDS.includes(field) ? createValueMatcher : createTextMatcher;
+  return { negate, field, text, matchers: alternatives.map(createMatcher) };
+}
+
+/**
+ * Parses a query string.
+ * @param {string} input
+ * @returns {{groups: {negate: boolean, field: string|null, text: string, matchers: Function[]}[][]}}
+ *   Alternative groups; a record matches when every term of any group matches.
+ */
+export function parseQuery(input) {
+  const groups = [[]];
+  if (!input) return { groups: [] };
+
+  TOKEN_REGEX.lastIndex = 0;
+  let match;
+  while ((match = TOKEN_REGEX.exec(input)) !== null) {
+    const [, dash, fieldName, quoted, bare] = match;
+    const text = quoted ?? bare.replace(/^"/, '');
+
+    if (!dash && !fieldName && quoted === undefined && (bare === 'OR' || bare === '|')) {
+      groups.push([]);
+      continue;
+    }
+    // A lone "-", an empty value or a half-typed `field:` carries no condition.
+    if (!text || (!fieldName && /^[A-Za-z]\w*:$/.test(text) && resolveField(text.slice(0, -1)))) continue;
+    groups[groups.length - 1].push(buildTerm(dash === '-', fieldName, text));
+  }
+
+  return { groups: groups.filter((group) => group.length > 0) };
+}
+
+function getFieldValues(record, field) {
+  if (field === 'family') return [record.family, record.familyId];
+  if (field === 'name') return [record.name, record.fullName];
+  if (field === 'brand') return [record.brand, record.brandName];
+  const value = record[field] ?? record.attributes?.[field];
+  return Array.isArray(value) ? value : [value];
+}
+
+function termMatchesRecord(term, record) {
+  let values;
+  if (term.field === null) {
+    values = [record.id, record.name, record.fullName, record.family];
+  } else if (SIDE_FIELDS.includes(term.field)) {
+    if (record.kind !== term.field) return false;
+    values = [record.id, record.name, record.fullName];
+  } else {
+    values = getFieldValues(record, term.field);
+  }
+
+  values = values.filter((value) => value !== undefined && value !== null && value !== '');
+  return term.matchers.some((matcher) => values.some(matcher));
+}
+
+/**
+ * Tests a parsed query against one search target.
+ * A target may be several records (e.g. a pair's tablet and pen): a term matches if any of
+ * them matches it, and a negated term matches if none do.
+ * @param {{groups: Object[][]}} query - From parseQuery.
+ * @param {Object[]} records - `{kind?, id, name, fullName?, brand?, brandName?, family?, familyId?, type?, year?, attributes?}`
+ */
+export function matchesQuery(query, records) {
+  if (query.groups.length === 0) return true;
+  return query.groups.some((group) => group.every((term) => {
+    const matched = records.some((record) => termMatchesRecord(term, record));
+    return term.negate ? !matched : matched;
+  }));
+}
@@ -0,0 +1,20 @@
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { getCompatibilityData } from '../compatibility-data-store.js';
+
+// Serves `/data/...` URLs from static/ on disk.
+async function readStaticFile(url) {
+  try {
+    return new Response(await readFile(join(process.cwd(), 'static', String(url))));
+  } catch {
+    return new Response(null, { status: 404 });
+  }
+}
+
+/**
+ * Compatibility data read straight from static/data/, for build-time code that runs
+ * without a request and so has no `fetch`, such as the `entries` of prerendered endpoints.
+ */
+export function readCompatibilityData() {
+  return getCompatibilityData('', readStaticFile);
+}
@@ -0,0 +1,77 @@
+/**
+ * Dated snapshots of the generated data, for browsing the site "as of" an earlier release.
+ * scripts/generate-data.js copies the data files into static/data/snapshots/<key>/ whenever
+ * the data changes and lists them in static/data/snapshots/index.json; pages pick one with
+ * `?asof=<key>`. Must stay free of SvelteKit imports.
+ */
+
+import { MANIFEST_FILE } from './data-format.js';
+
+export const SNAPSHOT_PARAM = 'asof';
+
+// Files of snapshots taken before the compact data format (see data-format.js).
+const LEGACY_SNAPSHOT_FILES = ['wacom-pens.json', 'wacom-tablets.json', 'wacom-pen-compat.json', 'search-index.json'];
+
+/**
+ * Files copied into a snapshot: everything the browsing pages read.
+ * @param {{core: string, pairChunks?: Object<string, string>} | null} manifest - The data's
+ *   manifest.json; null for a snapshot in the old format.
+ * @returns {string[]}
+ */
+export function snapshotFiles(manifest) {
+  if (!manifest) return LEGACY_SNAPSHOT_FILES;
+  return [MANIFEST_FILE, manifest.core, ...Object.values(manifest.pairChunks || {}), 'search-index.json'];
+}
+
+const SNAPSHOT_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @param {string} key
+ */
+export function isSnapshotKey(key) {
+  return SNAPSHOT_KEY_PATTERN.test(String(key || ''));
+}
+
+/**
+ * Reads the snapshot key from a URL search string; '' (current data) if absent or malformed.
+ * @param {string} search
+ */
+export function readSnapshotParam(search) {
+  const key = new URLSearchParams(search || '').get(SNAPSHOT_PARAM) || '';
+  return isSnapshotKey(key) ? key : '';
+}
+
+/**
+ * Directory URL holding the data files: `<base>/data` for the current data,
+ * `<base>/data/snapshots/<key>` for a snapshot.
+ * @param {string} basePath
+ * @param {string} [snapshot]
+ */
+export function dataPath(basePath, snapshot = '') {
+  return snapshot ? `${basePath}/data/snapshots/${snapshot}` : `${basePath}/data`;
+}
+
+/**
+ * Returns `href` with the snapshot parameter set, or removed for the current data.
+ * @param {string} href - An in-site path, optionally with a query string.
+ * @param {string} snapshot
+ */
+export function withSnapshot(href, snapshot) {
+  const [path, search = ''] = href.split('?');
+  const params = new URLSearchParams(search);
+  if (snapshot) params.set(SNAPSHOT_PARAM, snapshot);
+  else params.delete(SNAPSHOT_PARAM);
+  const next = params.toString();
+  return next ? `${path}?${next}` : path;
+}
+
+/**
+ * Snapshot requested by a page's URL, for universal `load` functions. Prerendering has no
+ * query string (SvelteKit throws on `url.search`), so the server always renders the current
+ * data and the browser switches to the snapshot.
+ * @param {URL} url
+ * @param {boolean} inBrowser - `browser` from $app/environment.
+ */
+export function pageSnapshot(url, inBrowser) {
+  return inBrowser ? readSnapshotParam(url.search) : '';
+}
@@ -0,0 +1,144 @@
+/**
+ * Serialises list rows for the export menu (CSV, TSV, Markdown table, JSON).
+ * A column is `{key, label, value: (row) => any, default?: boolean}`; `default: false`
+ * columns start unchecked.
+ */
+
+import { describeAttributes, formatTabletType } from './device-fields.js';
+import { buildTabletDetailHref } from './tablet-url.js';
+import { buildPenDetailHref } from './pen-url.js';
+import { brandName } from './brands.js';
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', extension: 'csv', mime: 'text/csv' },
+  { id: 'tsv', label: 'TSV', extension: 'tsv', mime: 'text/tab-separated-values' },
+  { id: 'markdown', label: 'Markdown table', extension: 'md', mime: 'text/markdown' },
+  { id: 'json', label: 'JSON', extension: 'json', mime: 'application/json' }
+];
+
+function toText(value) {
+  if (value === undefined || value === null) return '';
+  return String(value);
+}
+
+function csvCell(value) {
+  const text = toText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function tsvCell(value) {
+  return toText(value).replace(/[\t\r\n]+/g, ' ');
+}
+
+function markdownCell(value) {
+  return toText(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * @param {Object[]} rows
+ * @param {{key: string, label: string, value: (row: Object) => any}[]} columns
+ * @param {'csv'|'tsv'|'markdown'|'json'} format
+ * @returns {string}
+ */
+export function formatRows(rows, columns, format) {
+  const values = rows.map((row) => columns.map((column) => column.value(row)));
+
+  if (format === 'json') {
+    return JSON.stringify(
+      values.map((cells) => Object.fromEntries(columns.map((column, i) => [column.key, cells[i] ?? null]))),
+      null,
+      2
+    );
+  }
+
+  if (format === 'markdown') {
+    const lines = [
+      `| ${columns.map((column) => markdownCell(column.label)).join(' | ')} |`,
+      `| ${columns.map(() => '---').join(' | ')} |`,
+      ...values.map((cells) => `| ${cells.map(markdownCell).join(' | ')} |`)
+    ];
+    return `${lines.join('\n')}\n`;
+  }
+
+  const [cell, separator, newline] = format === 'tsv' ? [tsvCell, '\t', '\n'] : [csvCell, ',', '\r\n'];
+  const lines = [columns.map((column) => column.label), ...values].map((cells) => cells.map(cell).join(separator));
+  return `${lines.join(newline)}${newline}`;
+}
+
+/**
+ * Absolute URL of an in-site href, for link columns.
+ * @param {string} href
+ */
+export function absoluteUrl(href) {
+  if (!href) return '';
+  return typeof window === 'undefined' ? href : new URL(href, window.location.origin).href;
+}
+
+/**
+ * One column per device attribute (pens: PEN_FIELDS, tablets: TABLET_FIELDS),
+ * formatted as on the detail pages. Unchecked by default.
+ * @param {{key: string, label: string}[]} fields
+ */
+export function attributeColumns(fields) {
+  return fields.map((field) => ({
+    key: field.key,
+    label: field.label,
+    default: false,
+    value: (row) => describeAttributes(row.attributes, [field])[0]?.value ?? ''
+  }));
+}
+
+/**
+ * Columns for the device and family list pages, whose items are
+ * `{id, name, brand, brandName, family, href, attributes?}`.
+ * @param {string} itemLabel - e.g. "Pen".
+ * @param {string} familyLabel - Heading of the second column, e.g. "Pen Family".
+ * @param {{key: string, label: string}[]} [fields] - Attribute fields, if the items have them.
+ * @param {(item: Object) => string} [getId] - Id column value; family items keep it in `familyId`.
+ */
+export function listExportColumns(itemLabel, familyLabel, fields = [], getId = (item) => item.id) {
+  return [
+    { key: 'id', label: 'ID', value: getId },
+    { key: 'name', label: itemLabel, value: (item) => item.name },
+    { key: 'brand', label: 'Brand', value: (item) => item.brandName || item.brand },
+    { key: 'family', label: familyLabel, value: (item) => item.family },
+    ...attributeColumns(fields),
+    { key: 'url', label: 'URL', value: (item) => absoluteUrl(item.href) }
+  ];
+}
+
+/**
+ * Columns for /pencompat/, whose rows are `{tabletId, penId}` pairs.
+ * @param {{tabletDefs: Map, penDefs: Map, tabletFamilyDefs: Map, penFamilyDefs: Map, brandDefs?: Map}} data
+ * @param {string} basePath
+ */
+export function compatExportColumns({ tabletDefs, penDefs, tabletFamilyDefs, penFamilyDefs, brandDefs }, basePath) {
+  const side = (prefix, label, getId, defs, familyDefs, buildHref) => {
+    const def = (row) => defs.get(getId(row));
+    return [
+      { key: `${prefix}Id`, label: `${label} ID`, value: getId },
+      { key: `${prefix}Name`, label, value: (row) => def(row)?.fullName || def(row)?.name || getId(row) },
+      { key: `${prefix}Brand`, label: `${label} Brand`, default: false, value: (row) => (def(row)?.brand ? brandName(brandDefs, def(row).brand) : '') },
+      {
+        key: `${prefix}Family`,
+        label: `${label} Family`,
+        default: false,
+        value: (row) => familyDefs.get(def(row)?.familyId) || def(row)?.familyId || ''
+      },
+      {
+        key: `${prefix}Url`,
+        label: `${label} URL`,
+        default: false,
+        value: (row) => absoluteUrl(buildHref(basePath, { id: getId(row), brand: def(row)?.brand || '', name: def(row)?.name || getId(row) }))
+      }
+    ];
+  };
+
+  const tabletType = (row) => tabletDefs.get(row.tabletId)?.type;
+
+  return [
+    ...side('tablet', 'Tablet', (row) => row.tabletId, tabletDefs, tabletFamilyDefs, buildTabletDetailHref),
+    { key: 'tabletType', label: 'Tablet Type', default: false, value: (row) => (tabletType(row) ? formatTabletType(tabletType(row)) : '') },
+    ...side('pen', 'Pen', (row) => row.penId, penDefs, penFamilyDefs, buildPenDetailHref)
+  ];
+}
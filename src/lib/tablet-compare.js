@@ -0,0 +1,31 @@
+/**
+ * Builds the pen x tablet matrix for the /compare/ page.
+ * @param {string[]} tabletIds - Selected tablets, in column order.
+ * @param {Map<string, Set<string>>} pensByTablet - Compatible pen ids per tablet.
+ * @returns {{rows: {penId: string, supported: boolean[], count: number}[], sharedCount: number, uniqueCounts: number[], totalCount: number}}
+ *   `uniqueCounts[i]` is the number of pens that work with tablet i and none of the others.
+ */
+export function compareTablets(tabletIds, pensByTablet) {
+  const penSets = tabletIds.map((id) => pensByTablet.get(id) || new Set());
+  const union = new Set();
+  penSets.forEach((pens) => pens.forEach((penId) => union.add(penId)));
+
+  const rows = Array.from(union)
+    .map((penId) => {
+      const supported = penSets.map((pens) => pens.has(penId));
+      return { penId, supported, count: supported.filter(Boolean).length };
+    })
+    // Pens that work with more of the selected tablets first
+    .sort((a, b) => b.count - a.count || a.penId.localeCompare(b.penId, undefined, { numeric: true }));
+
+  const uniqueCounts = tabletIds.map((_, i) =>
+    rows.filter((row) => row.count === 1 && row.supported[i]).length
+  );
+
+  return {
+    rows,
+    sharedCount: tabletIds.length > 0 ? rows.filter((row) => row.count === tabletIds.length).length : 0,
+    uniqueCounts,
+    totalCount: rows.length
+  };
+}
@@ -11,3 +11,35 @@ export function buildTabletDetailHref(basePath, tablet) {
   const slug = slugifyPathSegment(slugSource);
   return `${basePath}/tablets/${slug}/${encodeURIComponent(tablet.id)}/`;
 }
+
+export function buildCompareHref(basePath, tabletIds) {
+  const query = tabletIds.length
+    ? `?tablets=${tabletIds.map(encodeURIComponent).join(',')}`
+    : '';
+  return `${basePath}/compare/${query}`;
+}
+
+/**
+ * The ids in a comma-separated query parameter, e.g. `?tablets=A,B`. The ids are encoded
+ * one by one, so the raw value is split before decoding: an id may contain a comma (`%2C`).
+ * @param {string} search - The query string, with or without the leading `?`.
+ * @param {string} name
+ * @returns {string[] | null} null when the parameter is missing
+ */
+export function parseIdListParam(search, name) {
+  const param = String(search || '').replace(/^\?/, '').split('&').find((part) => part.split('=')[0] === name);
+  if (param === undefined) return null;
+  return param.slice(name.length + 1).split(',').map((part) => {
+    const value = part.replace(/\+/g, ' ');
+    try {
+      return decodeURIComponent(value);
+    } catch {
+      return value;
+    }
+  });
+}
+
+export function parseCompareTabletIds(search) {
+  const ids = parseIdListParam(search, 'tablets') || [];
+  return [...new Set(ids.map((id) => id.trim()).filter(Boolean))];
+}
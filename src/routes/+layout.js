@@ -1,16 +1,20 @@
 import { base } from '$app/paths';
+import { browser } from '$app/environment';
 import { getCompatibilityData } from '../lib/compatibility-data-store.js';
+import { pageSnapshot } from '../lib/snapshots.js';
 
 export const prerender = true;
 export const trailingSlash = 'always';
 
-export async function load({ fetch }) {
+export async function load({ fetch, url }) {
+	const snapshot = pageSnapshot(url, browser);
 	try {
-		await getCompatibilityData(base, fetch);
+		// Only the definitions: pages ask for the pairs they need (unchunked data comes whole).
+		await getCompatibilityData(base, fetch, snapshot, { brands: [] });
 	} catch (err) {
 		// Page-level loaders/components still handle their own error states.
 		console.warn('Background compatibility prefetch failed', err);
 	}
 
-	return {};
+	return { snapshot };
 }
@@ -0,0 +1,24 @@
+import { error, json } from '@sveltejs/kit';
+import { base } from '$app/paths';
+import { getCompatibilityData } from '../../../../../../lib/compatibility-data-store.js';
+import { readCompatibilityData } from '../../../../../../lib/server/static-data.js';
+import { buildTabletFamilyDocument, listApiIds } from '../../../../../../lib/device-api.js';
+
+export const prerender = true;
+
+export async function entries() {
+  const data = await readCompatibilityData();
+  return listApiIds(data).tabletFamilies.map((id) => ({ id }));
+}
+
+export async function GET({ fetch, params }) {
+  const data = await getCompatibilityData(base, fetch);
+  const id = decodeURIComponent(params.id);
+  const document = buildTabletFamilyDocument(id, data);
+
+  if (!document) {
+    throw error(404, `Unknown tablet family: ${id}`);
+  }
+
+  return json(document);
+}
@@ -0,0 +1,11 @@
+import { json } from '@sveltejs/kit';
+import { base } from '$app/paths';
+import { getCompatibilityData } from '../../../../lib/compatibility-data-store.js';
+import { buildApiIndex } from '../../../../lib/device-api.js';
+
+export const prerender = true;
+
+export async function GET({ fetch }) {
+  const data = await getCompatibilityData(base, fetch);
+  return json(buildApiIndex(data, base));
+}
@@ -0,0 +1,37 @@
+import { base } from '$app/paths';
+import { browser } from '$app/environment';
+import { getCompatibilityData } from '../../lib/compatibility-data-store.js';
+import { pageSnapshot } from '../../lib/snapshots.js';
+import { brandName } from '../../lib/brands.js';
+import { summarizeBrand, countCrossBrandPairs } from '../../lib/brand-stats.js';
+
+export async function load({ fetch, url }) {
+  const snapshot = pageSnapshot(url, browser);
+  const data = await getCompatibilityData(base, fetch, snapshot);
+
+  const brands = Array.from(data.brandDefs, ([id, def]) => {
+    const summary = summarizeBrand(data, id);
+    return {
+      id,
+      name: def.name,
+      logo: def.logo,
+      href: `${base}/brands/${encodeURIComponent(id)}/`,
+      tabletCount: summary.tabletIds.length,
+      penCount: summary.penIds.length,
+      familyCount: summary.tabletFamilyIds.length + summary.penFamilyIds.length,
+      pairCount: summary.pairCount,
+      tabletsWithoutPensCount: summary.tabletsWithoutPens.length,
+      crossBrandCount: summary.thirdPartyPenPairs.length + summary.otherTabletPairs.length
+    };
+  });
+
+  const crossBrand = countCrossBrandPairs(data).map(({ tabletBrand, penBrand, count }) => ({
+    tabletBrand: brandName(data.brandDefs, tabletBrand),
+    tabletHref: `${base}/brands/${encodeURIComponent(tabletBrand)}/`,
+    penBrand: brandName(data.brandDefs, penBrand),
+    penHref: `${base}/brands/${encodeURIComponent(penBrand)}/`,
+    count
+  }));
+
+  return { brands, crossBrand };
+}
@@ -0,0 +1,101 @@
+import { error } from '@sveltejs/kit';
+import { base } from '$app/paths';
+import { browser } from '$app/environment';
+import { getCompatibilityData } from '../../../lib/compatibility-data-store.js';
+import { pageSnapshot } from '../../../lib/snapshots.js';
+import { brandName } from '../../../lib/brands.js';
+import { summarizeBrand } from '../../../lib/brand-stats.js';
+import { buildTabletDetailHref } from '../../../lib/tablet-url.js';
+import { buildPenDetailHref } from '../../../lib/pen-url.js';
+
+export async function load({ fetch, params, url }) {
+  const snapshot = pageSnapshot(url, browser);
+  // Cross-brand pairs include this brand's pens on other brands' tablets, so every chunk is needed.
+  const data = await getCompatibilityData(base, fetch, snapshot);
+  const brandId = decodeURIComponent(params.brandId);
+  const brandDef = data.brandDefs.get(brandId);
+
+  if (!brandDef) {
+    throw error(404, `Unknown brand: ${brandId}`);
+  }
+
+  const summary = summarizeBrand(data, brandId);
+
+  function toTabletItem(id) {
+    const def = data.tabletDefs.get(id);
+    const familyId = def?.familyId || '';
+    return {
+      id,
+      name: def?.fullName || def?.name || id,
+      family: data.tabletFamilyDefs.get(familyId) || familyId || 'Unspecified',
+      href: buildTabletDetailHref(base, { id, brand: def?.brand || '', name: def?.name || id })
+    };
+  }
+
+  function toPenItem(id) {
+    const def = data.penDefs.get(id);
+    const familyId = def?.familyId || '';
+    return {
+      id,
+      name: def?.fullName || def?.name || id,
+      family: data.penFamilyDefs.get(familyId) || familyId || 'Unspecified',
+      href: buildPenDetailHref(base, { id, brand: def?.brand || '', name: def?.name || id })
+    };
+  }
+
+  const tablets = summary.tabletIds.map((id) => ({
+    ...toTabletItem(id),
+    detail: `${data.pairsByTablet.get(id)?.length || 0} pens`
+  }));
+
+  const pens = summary.penIds.map((id) => ({
+    ...toPenItem(id),
+    detail: `${data.pairsByPen.get(id)?.length || 0} tablets`
+  }));
+
+  const families = [
+    ...summary.tabletFamilyIds.map((id) => ({
+      id,
+      name: data.tabletFamilyDefs.get(id) || id,
+      family: 'Tablet family',
+      detail: `${data.tabletsByFamily.get(id)?.length || 0} tablets`,
+      href: `${base}/tabletfamilies/${encodeURIComponent(id)}/`
+    })),
+    ...summary.penFamilyIds.map((id) => ({
+      id,
+      name: data.penFamilyDefs.get(id) || id,
+      family: 'Pen family',
+      detail: `${data.pensByFamily.get(id)?.length || 0} pens`,
+      href: `${base}/penfamilies/${encodeURIComponent(id)}/`
+    }))
+  ];
+
+  // One row per pair: the other brand's device, and the device of this brand it works with.
+  const thirdPartyPens = summary.thirdPartyPenPairs.map((pair) => ({
+    ...toPenItem(pair.penId),
+    family: brandName(data.brandDefs, data.penDefs.get(pair.penId).brand),
+    detail: toTabletItem(pair.tabletId).name
+  }));
+
+  const otherTablets = summary.otherTabletPairs.map((pair) => ({
+    ...toTabletItem(pair.tabletId),
+    family: brandName(data.brandDefs, data.tabletDefs.get(pair.tabletId).brand),
+    detail: toPenItem(pair.penId).name
+  }));
+
+  return {
+    brand: {
+      id: brandId,
+      name: brandDef.name,
+      website: brandDef.website,
+      logo: brandDef.logo,
+      pairCount: summary.pairCount
+    },
+    tablets,
+    pens,
+    families,
+    tabletsWithoutPens: summary.tabletsWithoutPens.map(toTabletItem),
+    thirdPartyPens,
+    otherTablets
+  };
+}
@@ -0,0 +1,76 @@
+import { base } from '$app/paths';
+import { getCompatibilityData } from '../../lib/compatibility-data-store.js';
+import { fetchChangelog, fetchSnapshotIndex } from '../../lib/data-loader.js';
+import { withSnapshot } from '../../lib/snapshots.js';
+import { countChanges } from '../../lib/data-changes.js';
+import { buildTabletDetailHref } from '../../lib/tablet-url.js';
+import { buildPenDetailHref } from '../../lib/pen-url.js';
+
+export async function load({ fetch }) {
+  const [data, changelog, snapshotIndex] = await Promise.all([
+    getCompatibilityData(base, fetch),
+    fetchChangelog(`${base}/data/changelog.json`, fetch),
+    fetchSnapshotIndex(`${base}/data/snapshots/index.json`, fetch)
+  ]);
+  const snapshotKeys = new Set(snapshotIndex.snapshots.map((snapshot) => snapshot.key));
+
+  // Devices still in the data link to their detail page; removed ones are plain text.
+  function deviceLink(id, defs, buildHref, fallbackName = id) {
+    const def = defs.get(id);
+    return {
+      id,
+      name: def?.fullName || def?.name || fallbackName,
+      href: def ? buildHref(base, { id, brand: def.brand || '', name: def.name || id }) : ''
+    };
+  }
+
+  const tablet = (id, name) => deviceLink(id, data.tabletDefs, buildTabletDetailHref, name);
+  const pen = (id, name) => deviceLink(id, data.penDefs, buildPenDetailHref, name);
+
+  function familyName(familyId, familyDefs) {
+    if (!familyId) return 'no family';
+    return familyDefs.get(familyId) || familyId;
+  }
+
+  function deviceSections(label, changes, link, familyDefs) {
+    return [
+      { title: `${label} added`, items: changes.added.map((device) => ({ device: link(device.id, device.name) })) },
+      { title: `${label} removed`, items: changes.removed.map((device) => ({ device: link(device.id, device.name) })) },
+      {
+        title: `${label} renamed`,
+        items: changes.renamed.map((device) => ({ device: link(device.id, device.to), note: `${device.from} → ${device.to}` }))
+      },
+      {
+        title: `${label} moved to another family`,
+        items: changes.moved.map((device) => ({
+          device: link(device.id, device.name),
+          note: `${familyName(device.from, familyDefs)} → ${familyName(device.to, familyDefs)}`
+        }))
+      }
+    ];
+  }
+
+  const pairItems = (pairs) => pairs.map(({ tabletId, penId }) => ({ device: tablet(tabletId), pen: pen(penId) }));
+
+  const entries = (changelog.entries || []).map((entry) => ({
+    date: entry.date,
+    generatedAtIso: entry.generatedAtIso,
+    dataRevision: entry.dataRevision || '',
+    snapshotHref: snapshotKeys.has(entry.date) ? withSnapshot(`${base}/pencompat/`, entry.date) : '',
+    counts: countChanges(entry),
+    sections: [
+      ...deviceSections('Tablets', entry.tablets, tablet, data.tabletFamilyDefs),
+      ...deviceSections('Pens', entry.pens, pen, data.penFamilyDefs),
+      { title: 'Compatibility added', items: pairItems(entry.pairs.added) },
+      { title: 'Compatibility removed', items: pairItems(entry.pairs.removed) }
+    ].filter((section) => section.items.length > 0)
+  }));
+
+  return {
+    entries,
+    snapshots: snapshotIndex.snapshots.map((snapshot) => ({
+      ...snapshot,
+      href: withSnapshot(`${base}/pencompat/`, snapshot.key)
+    }))
+  };
+}
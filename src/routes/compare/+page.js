@@ -0,0 +1,40 @@
+import { base } from '$app/paths';
+import { browser } from '$app/environment';
+import { getCompatibilityData } from '../../lib/compatibility-data-store.js';
+import { pageSnapshot } from '../../lib/snapshots.js';
+import { buildTabletDetailHref } from '../../lib/tablet-url.js';
+import { buildPenDetailHref } from '../../lib/pen-url.js';
+
+export async function load({ fetch, url }) {
+  const snapshot = pageSnapshot(url, browser);
+  const data = await getCompatibilityData(base, fetch, snapshot);
+
+  const pensByTablet = new Map(
+    Array.from(data.pairsByTablet, ([tabletId, pairs]) => [tabletId, new Set(pairs.map((pair) => pair.penId))])
+  );
+
+  // Every defined tablet can be picked, including those with no confirmed pens yet.
+  const tablets = Array.from(new Set([...data.tabletDefs.keys(), ...pensByTablet.keys()]))
+    .map((id) => {
+      const def = data.tabletDefs.get(id);
+      return {
+        id,
+        name: def?.fullName || def?.name || id,
+        brand: def?.brand || '',
+        href: buildTabletDetailHref(base, { id, brand: def?.brand || '', name: def?.name || id })
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+  const pens = new Map();
+  data.penDefs.forEach((def, id) => {
+    pens.set(id, {
+      id,
+      name: def.fullName || def.name || id,
+      family: data.penFamilyDefs.get(def.familyId) || def.familyId || 'Unspecified',
+      href: buildPenDetailHref(base, { id, brand: def.brand || '', name: def.name || id })
+    });
+  });
+
+  return { tablets, pens, pensByTablet };
+}
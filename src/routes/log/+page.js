@@ -1,16 +1,29 @@
 import { base } from '$app/paths';
 import { getCompatibilityData } from '../../lib/compatibility-data-store.js';
+import { fetchDiagnosticsReport } from '../../lib/data-loader.js';
 
 export async function load({ fetch }) {
-  const data = await getCompatibilityData(base, fetch);
+  const [data, report] = await Promise.all([
+    getCompatibilityData(base, fetch),
+    fetchDiagnosticsReport(`${base}/data/diagnostics.json`, fetch)
+  ]);
 
   return {
-    diagnostics: data.diagnostics || {
+    diagnostics: {
+      missingTabletDefs: [],
+      missingPenDefs: [],
       pensWithoutTablets: [],
       tabletsWithoutPens: [],
-      duplicatePairs: []
+      duplicatePairs: [],
+      unknownPenFamilies: [],
+      emptyPenFamilies: [],
+      unknownTabletFamilies: [],
+      emptyTabletFamilies: [],
+      ...report.diagnostics
     },
-    loadedAtIso: data.loadedAtIso || '',
+    validation: report.validation || [],
+    overrides: { dir: '', records: [], conflicts: [], ...report.overrides },
+    generatedAtIso: report.generatedAtIso || '',
     penDefs: data.penDefs,
     tabletDefs: data.tabletDefs
   };
@@ -0,0 +1,41 @@
+import { base } from '$app/paths';
+import { browser } from '$app/environment';
+import { getCompatibilityData } from '../../lib/compatibility-data-store.js';
+import { pageSnapshot } from '../../lib/snapshots.js';
+import { buildTabletDetailHref } from '../../lib/tablet-url.js';
+import { buildPenDetailHref } from '../../lib/pen-url.js';
+
+export async function load({ fetch, url }) {
+  const snapshot = pageSnapshot(url, browser);
+  const data = await getCompatibilityData(base, fetch, snapshot);
+
+  const pensByTablet = new Map(
+    Array.from(data.pairsByTablet, ([tabletId, pairs]) => [tabletId, new Set(pairs.map((pair) => pair.penId))])
+  );
+
+  const byName = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true });
+
+  const tablets = Array.from(pensByTablet.keys())
+    .map((id) => {
+      const def = data.tabletDefs.get(id);
+      return {
+        id,
+        name: def?.fullName || def?.name || id,
+        href: buildTabletDetailHref(base, { id, brand: def?.brand || '', name: def?.name || id })
+      };
+    })
+    .sort(byName);
+
+  const pens = Array.from(data.pairsByPen.keys())
+    .map((id) => {
+      const def = data.penDefs.get(id);
+      return {
+        id,
+        name: def?.fullName || def?.name || id,
+        href: buildPenDetailHref(base, { id, brand: def?.brand || '', name: def?.name || id })
+      };
+    })
+    .sort(byName);
+
+  return { tablets, pens, pensByTablet };
+}
@@ -1,17 +1,27 @@
 import { base } from '$app/paths';
+import { browser } from '$app/environment';
 import { getCompatibilityData } from '../../lib/compatibility-data-store.js';
+import { pageSnapshot } from '../../lib/snapshots.js';
+import { brandOptions } from '../../lib/brands.js';
+import { tabletTypeOptions } from '../../lib/device-fields.js';
 
-export async function load({ fetch }) {
-  const data = await getCompatibilityData(base, fetch);
-  const brandSet = new Set();
-  for (const [, def] of data.tabletDefs) if (def.brand) brandSet.add(def.brand);
-  for (const [, def] of data.penDefs) if (def.brand) brandSet.add(def.brand);
-  const brands = [...brandSet].sort();
+export async function load({ fetch, url }) {
+  const snapshot = pageSnapshot(url, browser);
+  const data = await getCompatibilityData(base, fetch, snapshot);
+  const brands = brandOptions([
+    ...Array.from(data.tabletDefs.values(), (def) => def.brand),
+    ...Array.from(data.penDefs.values(), (def) => def.brand)
+  ], data.brandDefs);
+  const types = tabletTypeOptions(Array.from(data.tabletDefs.values(), (def) => def.type));
 
   return {
     compatibilityPairs: data.pairs,
     tabletDefs: data.tabletDefs,
     penDefs: data.penDefs,
-    brands
+    tabletFamilyDefs: data.tabletFamilyDefs,
+    penFamilyDefs: data.penFamilyDefs,
+    brandDefs: data.brandDefs,
+    brands,
+    types
   };
 }
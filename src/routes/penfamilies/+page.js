@@ -1,30 +1,33 @@
 import { base } from '$app/paths';
+import { browser } from '$app/environment';
 import { getCompatibilityData } from '../../lib/compatibility-data-store.js';
+import { dataPath, pageSnapshot } from '../../lib/snapshots.js';
+import { fetchSearchIndex } from '../../lib/data-loader.js';
+import { brandName, brandOptions } from '../../lib/brands.js';
 
-export async function load({ fetch }) {
-  const data = await getCompatibilityData(base, fetch);
-  const penCountsByFamily = new Map();
-
-  data.penDefs.forEach((def) => {
-    if (!def.familyId) return;
-    penCountsByFamily.set(def.familyId, (penCountsByFamily.get(def.familyId) || 0) + 1);
-  });
-
+export async function load({ fetch, url }) {
+  const snapshot = pageSnapshot(url, browser);
+  const [data, searchIndex] = await Promise.all([
+    getCompatibilityData(base, fetch, snapshot),
+    fetchSearchIndex(`${dataPath(base, snapshot)}/search-index.json`, fetch)
+  ]);
   const families = Array.from(data.penFamilyDefs.entries())
     .map(([id, name]) => {
-      const count = penCountsByFamily.get(id) || 0;
+      const count = data.pensByFamily.get(id)?.length || 0;
       const brand = data.penFamilyBrands?.get(id) || '';
       return {
         id: name,
         name,
         brand,
+        brandName: brandName(data.brandDefs, brand),
+        familyId: id,
         family: `${count} pens`,
         href: `${base}/penfamilies/${encodeURIComponent(id)}/`
       };
     })
     .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
 
-  const brands = [...new Set(families.map(f => f.brand))].filter(Boolean).sort();
+  const brands = brandOptions(families.map(f => f.brand), data.brandDefs);
 
-  return { families, brands };
+  return { families, brands, searchIndex: searchIndex.penFamilies };
 }
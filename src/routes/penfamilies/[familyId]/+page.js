@@ -1,10 +1,15 @@
 import { error } from '@sveltejs/kit';
 import { base } from '$app/paths';
+import { browser } from '$app/environment';
 import { getCompatibilityData } from '../../../lib/compatibility-data-store.js';
+import { pageSnapshot } from '../../../lib/snapshots.js';
 import { buildPenDetailHref } from '../../../lib/pen-url.js';
+import { buildTabletDetailHref } from '../../../lib/tablet-url.js';
+import { familyCoverage } from '../../../lib/family-coverage.js';
 
-export async function load({ fetch, params }) {
-  const data = await getCompatibilityData(base, fetch);
+export async function load({ fetch, params, url }) {
+  const snapshot = pageSnapshot(url, browser);
+  const data = await getCompatibilityData(base, fetch, snapshot);
   const familyId = decodeURIComponent(params.familyId);
   const familyName = data.penFamilyDefs.get(familyId);
 
@@ -12,25 +17,51 @@ export async function load({ fetch, params }) {
     throw error(404, `Unknown pen family: ${familyId}`);
   }
 
-  const pens = Array.from(data.penDefs.entries())
-    .filter(([, def]) => def.familyId === familyId)
-    .map(([id, def]) => ({
-      id,
-      name: def.fullName || def.name || id,
-      family: familyName,
-      href: buildPenDetailHref(base, {
+  const pens = (data.pensByFamily.get(familyId) || [])
+    .map((id) => {
+      const def = data.penDefs.get(id);
+      return {
         id,
-        brand: def.brand || '',
-        name: def.name || id
+        name: def.fullName || def.name || id,
+        family: familyName,
+        href: buildPenDetailHref(base, {
+          id,
+          brand: def.brand || '',
+          name: def.name || id
+        })
+      };
+    });
+
+  // Tablets by how many of the family's pens they support.
+  const coverage = familyCoverage(pens.map((pen) => pen.id), data.pairsByPen, 'tabletId');
+  const penNames = new Map(pens.map((pen) => [pen.id, pen.name]));
+  const tablets = coverage.rows.map((row) => {
+    const def = data.tabletDefs.get(row.id);
+    const tabletFamilyId = def?.familyId || '';
+    return {
+      ...row,
+      name: def?.fullName || def?.name || row.id,
+      family: data.tabletFamilyDefs.get(tabletFamilyId) || tabletFamilyId || 'Unspecified',
+      detail: row.missing.map((id) => penNames.get(id)).join(', '),
+      href: buildTabletDetailHref(base, {
+        id: row.id,
+        brand: def?.brand || '',
+        name: def?.name || row.id
       })
-    }))
-    .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+    };
+  });
 
   return {
     family: {
       id: familyId,
-      name: familyName
+      name: familyName,
+      override: data.penFamilyOverrides.get(familyId) || ''
     },
-    pens
+    pens,
+    // The rows that work with every member come first.
+    fullTablets: tablets.slice(0, coverage.fullCount),
+    partialTablets: tablets.slice(coverage.fullCount),
+    fullCount: coverage.fullCount,
+    tablets
   };
 }
@@ -1,16 +1,19 @@
 import { base } from '$app/paths';
+import { browser } from '$app/environment';
 import { getCompatibilityData } from '../../lib/compatibility-data-store.js';
+import { dataPath, pageSnapshot } from '../../lib/snapshots.js';
+import { fetchSearchIndex } from '../../lib/data-loader.js';
+import { brandName, brandOptions } from '../../lib/brands.js';
 import { buildPenDetailHref } from '../../lib/pen-url.js';
 
-export async function load({ fetch }) {
-  const data = await getCompatibilityData(base, fetch);
+export async function load({ fetch, url }) {
+  const snapshot = pageSnapshot(url, browser);
+  const [data, searchIndex] = await Promise.all([
+    getCompatibilityData(base, fetch, snapshot),
+    fetchSearchIndex(`${dataPath(base, snapshot)}/search-index.json`, fetch)
+  ]);
 
-  const uniquePenIds = new Set();
-  for (const pair of data.pairs) {
-    uniquePenIds.add(pair.penId);
-  }
-
-  const pens = Array.from(uniquePenIds)
+  const pens = Array.from(data.pairsByPen.keys())
     .map((id) => {
       const def = data.penDefs.get(id);
       const familyId = def?.familyId || '';
@@ -20,7 +23,11 @@ export async function load({ fetch }) {
         id,
         name: def?.fullName || name,
         brand,
+        brandName: brandName(data.brandDefs, brand),
+        kind: 'pen',
         family: data.penFamilyDefs.get(familyId) || familyId || 'Unspecified',
+        familyId,
+        attributes: def?.attributes || {},
         href: buildPenDetailHref(base, {
           id,
           brand,
@@ -30,7 +37,7 @@ export async function load({ fetch }) {
     })
     .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
 
-  const brands = [...new Set(pens.map(p => p.brand))].filter(Boolean).sort();
+  const brands = brandOptions(pens.map(p => p.brand), data.brandDefs);
 
-  return { pens, brands };
+  return { pens, brands, searchIndex: searchIndex.pens };
 }
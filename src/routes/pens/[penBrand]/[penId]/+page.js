@@ -1,10 +1,25 @@
 import { error } from '@sveltejs/kit';
 import { base } from '$app/paths';
+import { browser } from '$app/environment';
 import { getCompatibilityData } from '../../../../lib/compatibility-data-store.js';
+import { pageSnapshot } from '../../../../lib/snapshots.js';
+import { fetchChangelog } from '../../../../lib/data-loader.js';
+import { buildPairAddedDates, pairKey } from '../../../../lib/data-changes.js';
 import { buildTabletDetailHref } from '../../../../lib/tablet-url.js';
+import { PEN_FIELDS, describeAttributes } from '../../../../lib/device-fields.js';
+import {
+  VERDICT_LABELS,
+  compareTechnology,
+  describePairSource,
+  inferTabletsForPen
+} from '../../../../lib/compat-inference.js';
 
-export async function load({ fetch, params }) {
-  const data = await getCompatibilityData(base, fetch);
+export async function load({ fetch, params, url }) {
+  const snapshot = pageSnapshot(url, browser);
+  const [data, changelog] = await Promise.all([
+    getCompatibilityData(base, fetch, snapshot),
+    fetchChangelog(`${base}/data/changelog.json`, fetch)
+  ]);
   const penId = decodeURIComponent(params.penId);
   const penDef = data.penDefs.get(penId);
 
@@ -13,36 +28,57 @@ export async function load({ fetch, params }) {
   }
 
   const familyId = penDef.familyId || '';
-  const uniqueTabletIds = new Set();
-  for (const pair of data.pairs) {
-    if (pair.penId === penId) {
-      uniqueTabletIds.add(pair.tabletId);
-    }
+
+  const addedDates = buildPairAddedDates(changelog, snapshot);
+
+  function toTabletItem(id) {
+    const def = data.tabletDefs.get(id);
+    const tabletFamilyId = def?.familyId || '';
+    return {
+      id,
+      name: def?.fullName || def?.name || id,
+      family: data.tabletFamilyDefs.get(tabletFamilyId) || tabletFamilyId || 'Unspecified',
+      href: buildTabletDetailHref(base, {
+        id,
+        brand: def?.brand || '',
+        name: def?.name || id
+      })
+    };
   }
 
-  const tablets = Array.from(uniqueTabletIds)
-    .map((id) => {
-      const def = data.tabletDefs.get(id);
-      const tabletFamilyId = def?.familyId || '';
+  const tablets = (data.pairsByPen.get(penId) || [])
+    .map((pair) => {
+      const sources = pair.sources.map((source) => describePairSource(source, data.penFamilyDefs, data.tabletFamilyDefs));
+      const technology = compareTechnology(penDef, data.tabletDefs.get(pair.tabletId));
+      const conflict = technology?.verdict === 'likely-incompatible'
+        ? [`Check: ${technology.reason}`]
+        : [];
+      const addedOn = addedDates.get(pairKey(pair.tabletId, pair.penId));
+      const added = addedOn ? [`Compatibility added on ${addedOn}`] : [];
       return {
-        id,
-        name: def?.fullName || def?.name || id,
-        family: data.tabletFamilyDefs.get(tabletFamilyId) || tabletFamilyId || 'Unspecified',
-        href: buildTabletDetailHref(base, {
-          id,
-          brand: def?.brand || '',
-          name: def?.name || id
-        })
+        ...toTabletItem(pair.tabletId),
+        detail: [...sources, ...conflict, ...added].join('; '),
+        verdict: conflict.length ? 'likely-incompatible' : ''
       };
     })
     .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
 
+  const inferredTablets = inferTabletsForPen(penId, data)
+    .map(({ tabletId, verdict, reason }) => ({
+      ...toTabletItem(tabletId),
+      detail: `${VERDICT_LABELS[verdict]}: ${reason}`,
+      verdict
+    }));
+
   return {
     pen: {
       id: penId,
       name: penDef.fullName || penDef.name || penId,
-      family: data.penFamilyDefs.get(familyId) || familyId || 'Unspecified'
+      family: data.penFamilyDefs.get(familyId) || familyId || 'Unspecified',
+      specs: describeAttributes(penDef.attributes, PEN_FIELDS),
+      override: penDef.override
     },
-    tablets
+    tablets,
+    inferredTablets
   };
 }
@@ -1,30 +1,33 @@
 import { base } from '$app/paths';
+import { browser } from '$app/environment';
 import { getCompatibilityData } from '../../lib/compatibility-data-store.js';
+import { dataPath, pageSnapshot } from '../../lib/snapshots.js';
+import { fetchSearchIndex } from '../../lib/data-loader.js';
+import { brandName, brandOptions } from '../../lib/brands.js';
 
-export async function load({ fetch }) {
-  const data = await getCompatibilityData(base, fetch);
-  const tabletCountsByFamily = new Map();
-
-  data.tabletDefs.forEach((def) => {
-    if (!def.familyId) return;
-    tabletCountsByFamily.set(def.familyId, (tabletCountsByFamily.get(def.familyId) || 0) + 1);
-  });
-
+export async function load({ fetch, url }) {
+  const snapshot = pageSnapshot(url, browser);
+  const [data, searchIndex] = await Promise.all([
+    getCompatibilityData(base, fetch, snapshot),
+    fetchSearchIndex(`${dataPath(base, snapshot)}/search-index.json`, fetch)
+  ]);
   const families = Array.from(data.tabletFamilyDefs.entries())
     .map(([id, name]) => {
-      const count = tabletCountsByFamily.get(id) || 0;
+      const count = data.tabletsByFamily.get(id)?.length || 0;
       const brand = data.tabletFamilyBrands?.get(id) || '';
       return {
         id: name,
         name,
         brand,
+        brandName: brandName(data.brandDefs, brand),
+        familyId: id,
         family: `${count} tablets`,
         href: `${base}/tabletfamilies/${encodeURIComponent(id)}/`
       };
     })
     .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
 
-  const brands = [...new Set(families.map(f => f.brand))].filter(Boolean).sort();
+  const brands = brandOptions(families.map(f => f.brand), data.brandDefs);
 
-  return { families, brands };
+  return { families, brands, searchIndex: searchIndex.tabletFamilies };
 }
@@ -1,10 +1,15 @@
 import { error } from '@sveltejs/kit';
 import { base } from '$app/paths';
+import { browser } from '$app/environment';
 import { getCompatibilityData } from '../../../lib/compatibility-data-store.js';
+import { pageSnapshot } from '../../../lib/snapshots.js';
 import { buildTabletDetailHref } from '../../../lib/tablet-url.js';
+import { buildPenDetailHref } from '../../../lib/pen-url.js';
+import { familyCoverage } from '../../../lib/family-coverage.js';
 
-export async function load({ fetch, params }) {
-  const data = await getCompatibilityData(base, fetch);
+export async function load({ fetch, params, url }) {
+  const snapshot = pageSnapshot(url, browser);
+  const data = await getCompatibilityData(base, fetch, snapshot);
   const familyId = decodeURIComponent(params.familyId);
   const familyName = data.tabletFamilyDefs.get(familyId);
 
@@ -12,25 +17,51 @@ export async function load({ fetch, params }) {
     throw error(404, `Unknown tablet family: ${familyId}`);
   }
 
-  const tablets = Array.from(data.tabletDefs.entries())
-    .filter(([, def]) => def.familyId === familyId)
-    .map(([id, def]) => ({
-      id,
-      name: def.fullName || def.name || id,
-      family: familyName,
-      href: buildTabletDetailHref(base, {
+  const tablets = (data.tabletsByFamily.get(familyId) || [])
+    .map((id) => {
+      const def = data.tabletDefs.get(id);
+      return {
         id,
-        brand: def.brand || '',
-        name: def.name || id
+        name: def.fullName || def.name || id,
+        family: familyName,
+        href: buildTabletDetailHref(base, {
+          id,
+          brand: def.brand || '',
+          name: def.name || id
+        })
+      };
+    });
+
+  // Pens by how many of the family's tablets they work with.
+  const coverage = familyCoverage(tablets.map((tablet) => tablet.id), data.pairsByTablet, 'penId');
+  const tabletNames = new Map(tablets.map((tablet) => [tablet.id, tablet.name]));
+  const pens = coverage.rows.map((row) => {
+    const def = data.penDefs.get(row.id);
+    const penFamilyId = def?.familyId || '';
+    return {
+      ...row,
+      name: def?.fullName || def?.name || row.id,
+      family: data.penFamilyDefs.get(penFamilyId) || penFamilyId || 'Unspecified',
+      detail: row.missing.map((id) => tabletNames.get(id)).join(', '),
+      href: buildPenDetailHref(base, {
+        id: row.id,
+        brand: def?.brand || '',
+        name: def?.name || row.id
       })
-    }))
-    .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+    };
+  });
 
   return {
     family: {
       id: familyId,
-      name: familyName
+      name: familyName,
+      override: data.tabletFamilyOverrides.get(familyId) || ''
     },
-    tablets
+    tablets,
+    // The rows that work with every member come first.
+    fullPens: pens.slice(0, coverage.fullCount),
+    partialPens: pens.slice(coverage.fullCount),
+    fullCount: coverage.fullCount,
+    pens
   };
 }
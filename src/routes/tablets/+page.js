@@ -1,16 +1,20 @@
 import { base } from '$app/paths';
+import { browser } from '$app/environment';
 import { getCompatibilityData } from '../../lib/compatibility-data-store.js';
+import { dataPath, pageSnapshot } from '../../lib/snapshots.js';
+import { fetchSearchIndex } from '../../lib/data-loader.js';
+import { brandName, brandOptions } from '../../lib/brands.js';
 import { buildTabletDetailHref } from '../../lib/tablet-url.js';
+import { formatTabletType, tabletTypeOptions } from '../../lib/device-fields.js';
 
-export async function load({ fetch }) {
-  const data = await getCompatibilityData(base, fetch);
+export async function load({ fetch, url }) {
+  const snapshot = pageSnapshot(url, browser);
+  const [data, searchIndex] = await Promise.all([
+    getCompatibilityData(base, fetch, snapshot),
+    fetchSearchIndex(`${dataPath(base, snapshot)}/search-index.json`, fetch)
+  ]);
 
-  const uniqueTabletIds = new Set();
-  for (const pair of data.pairs) {
-    uniqueTabletIds.add(pair.tabletId);
-  }
-
-  const tablets = Array.from(uniqueTabletIds)
+  const tablets = Array.from(data.pairsByTablet.keys())
     .map((id) => {
       const def = data.tabletDefs.get(id);
       const familyId = def?.familyId || '';
@@ -20,7 +24,13 @@ export async function load({ fetch }) {
         id,
         name: def?.fullName || name,
         brand,
+        brandName: brandName(data.brandDefs, brand),
+        kind: 'tablet',
         family: data.tabletFamilyDefs.get(familyId) || familyId || 'Unspecified',
+        familyId,
+        type: def?.type || '',
+        detail: def?.type ? formatTabletType(def.type) : '',
+        attributes: def?.attributes || {},
         href: buildTabletDetailHref(base, {
           id,
           brand,
@@ -30,7 +40,8 @@ export async function load({ fetch }) {
     })
     .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
 
-  const brands = [...new Set(tablets.map(t => t.brand))].filter(Boolean).sort();
+  const brands = brandOptions(tablets.map(t => t.brand), data.brandDefs);
+  const types = tabletTypeOptions(tablets.map(t => t.type));
 
-  return { tablets, brands };
+  return { tablets, brands, types, searchIndex: searchIndex.tablets };
 }
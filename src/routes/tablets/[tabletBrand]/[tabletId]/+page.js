@@ -1,48 +1,90 @@
 import { error } from '@sveltejs/kit';
 import { base } from '$app/paths';
+import { browser } from '$app/environment';
 import { getCompatibilityData } from '../../../../lib/compatibility-data-store.js';
+import { pageSnapshot } from '../../../../lib/snapshots.js';
+import { fetchChangelog } from '../../../../lib/data-loader.js';
+import { buildPairAddedDates, pairKey } from '../../../../lib/data-changes.js';
 import { buildPenDetailHref } from '../../../../lib/pen-url.js';
+import { TABLET_FIELDS, describeAttributes, formatTabletType } from '../../../../lib/device-fields.js';
+import {
+  VERDICT_LABELS,
+  compareTechnology,
+  describePairSource,
+  inferPensForTablet
+} from '../../../../lib/compat-inference.js';
 
-export async function load({ fetch, params }) {
-  const data = await getCompatibilityData(base, fetch);
+export async function load({ fetch, params, url }) {
+  const snapshot = pageSnapshot(url, browser);
+  // The URL's brand segment is the tablet's brand, so only that brand's pairs are needed.
+  let [data, changelog] = await Promise.all([
+    getCompatibilityData(base, fetch, snapshot, { brands: [params.tabletBrand] }),
+    fetchChangelog(`${base}/data/changelog.json`, fetch)
+  ]);
   const tabletId = decodeURIComponent(params.tabletId);
   const tabletDef = data.tabletDefs.get(tabletId);
 
   if (!tabletDef) {
     throw error(404, `Unknown tablet: ${tabletId}`);
   }
+  if (data.brands && !data.brands.includes(tabletDef.brand)) {
+    data = await getCompatibilityData(base, fetch, snapshot);
+  }
 
   const familyId = tabletDef.familyId || '';
-  const uniquePenIds = new Set();
-  for (const pair of data.pairs) {
-    if (pair.tabletId === tabletId) {
-      uniquePenIds.add(pair.penId);
-    }
+
+  const addedDates = buildPairAddedDates(changelog, snapshot);
+
+  function toPenItem(id) {
+    const def = data.penDefs.get(id);
+    const penFamilyId = def?.familyId || '';
+    return {
+      id,
+      name: def?.fullName || def?.name || id,
+      family: data.penFamilyDefs.get(penFamilyId) || penFamilyId || 'Unspecified',
+      href: buildPenDetailHref(base, {
+        id,
+        brand: def?.brand || '',
+        name: def?.name || id
+      })
+    };
   }
 
-  const pens = Array.from(uniquePenIds)
-    .map((id) => {
-      const def = data.penDefs.get(id);
-      const penFamilyId = def?.familyId || '';
+  const pens = (data.pairsByTablet.get(tabletId) || [])
+    .map((pair) => {
+      const sources = pair.sources.map((source) => describePairSource(source, data.penFamilyDefs, data.tabletFamilyDefs));
+      const technology = compareTechnology(data.penDefs.get(pair.penId), tabletDef);
+      const conflict = technology?.verdict === 'likely-incompatible'
+        ? [`Check: ${technology.reason}`]
+        : [];
+      const addedOn = addedDates.get(pairKey(pair.tabletId, pair.penId));
+      const added = addedOn ? [`Compatibility added on ${addedOn}`] : [];
       return {
-        id,
-        name: def?.fullName || def?.name || id,
-        family: data.penFamilyDefs.get(penFamilyId) || penFamilyId || 'Unspecified',
-        href: buildPenDetailHref(base, {
-          id,
-          brand: def?.brand || '',
-          name: def?.name || id
-        })
+        ...toPenItem(pair.penId),
+        detail: [...sources, ...conflict, ...added].join('; '),
+        verdict: conflict.length ? 'likely-incompatible' : ''
       };
     })
     .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
 
+  const inferredPens = inferPensForTablet(tabletId, data)
+    .map(({ penId, verdict, reason }) => ({
+      ...toPenItem(penId),
+      detail: `${VERDICT_LABELS[verdict]}: ${reason}`,
+      verdict
+    }));
+
   return {
     tablet: {
       id: tabletId,
       name: tabletDef.fullName || tabletDef.name || tabletId,
-      family: data.tabletFamilyDefs.get(familyId) || familyId || 'Unspecified'
+      family: data.tabletFamilyDefs.get(familyId) || familyId || 'Unspecified',
+      type: tabletDef.type ? formatTabletType(tabletDef.type) : 'Unspecified',
+      // The type has its own line (it defaults to pen tablet when DrawTabData has none).
+      specs: describeAttributes(tabletDef.attributes, TABLET_FIELDS.filter((field) => field.key !== 'type')),
+      override: tabletDef.override
     },
-    pens
+    pens,
+    inferredPens
   };
 }
@@ -0,0 +1,66 @@
+/// <reference types="@sveltejs/kit" />
+/// <reference lib="webworker" />
+
+/**
+ * Offline support. Installing a build precaches its assets, static files and prerendered
+ * pages, including the static/data/ files, and serves them cache-first, so a new deployment
+ * (new `version`) only takes over once the page asks it to (see UpdatePrompt.svelte).
+ * Snapshots and the JSON API are cached as they are fetched.
+ */
+
+import { base, build, files, prerendered, version } from '$service-worker';
+
+const CACHE = `drawtab-${version}`;
+const DATA_MANIFEST_URL = `${base}/data/manifest.json`;
+
+const onDemand = (path) => path.startsWith(`${base}/api/`)
+  || (path.startsWith(`${base}/data/snapshots/`) && path !== `${base}/data/snapshots/index.json`);
+// Data files fetched while prerendering are listed in both `files` and `prerendered`.
+const PRECACHE = [...new Set([...build, ...files, ...prerendered])].filter((path) => !onDemand(path));
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+async function respond(request) {
+  const url = new URL(request.url);
+  const cache = await caches.open(CACHE);
+
+  // The update check asks for the published manifest with `cache: 'no-store'`; everything
+  // else, including the data loader, gets the manifest this build was made with.
+  if (url.pathname === DATA_MANIFEST_URL && request.cache === 'no-store') {
+    return fetch(request);
+  }
+
+  // Pages are cached once, whatever their query string (?q=, ?asof=, ...).
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+  if (cached) return cached;
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const fallback = request.mode === 'navigate' && await cache.match(`${base}/`);
+    if (fallback) return fallback;
+    throw err;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(respond(request));
+});
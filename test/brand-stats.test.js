@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeBrand, countCrossBrandPairs } from '../src/lib/brand-stats.js';
+import { legacyDataFiles, loadLegacy, pairIds } from './helpers.js';
+
+test('summarizeBrand lists the devices and families of a brand and counts its pairs', async () => {
+  const data = await loadLegacy();
+  const wacom = summarizeBrand(data, 'wacom');
+
+  assert.deepEqual(wacom.tabletIds, ['T1', 'T2']);
+  assert.deepEqual(wacom.penIds, ['P1', 'P2']);
+  assert.deepEqual(wacom.tabletFamilyIds, ['TF']);
+  assert.deepEqual(wacom.penFamilyIds, ['EMPTY_PF', 'PF']);
+  assert.equal(wacom.pairCount, 4);
+  assert.deepEqual(wacom.tabletsWithoutPens, []);
+
+  // T3's only pen has no definition, so it has no brand: counted, but not cross-brand.
+  const huion = summarizeBrand(data, 'huion');
+  assert.equal(huion.pairCount, 3);
+  assert.deepEqual(summarizeBrand(data, 'xppen').tabletIds, []);
+});
+
+test('summarizeBrand splits cross-brand pairs by which side is the brand\'s', async () => {
+  const data = await loadLegacy();
+
+  assert.deepEqual(pairIds(summarizeBrand(data, 'wacom').thirdPartyPenPairs), ['T1+P3', 'T2+P3']);
+  assert.deepEqual(summarizeBrand(data, 'wacom').otherTabletPairs, []);
+  assert.deepEqual(summarizeBrand(data, 'huion').thirdPartyPenPairs, []);
+  assert.deepEqual(pairIds(summarizeBrand(data, 'huion').otherTabletPairs), ['T1+P3', 'T2+P3']);
+});
+
+test('summarizeBrand lists the tablets with no known pens', async () => {
+  const files = legacyDataFiles();
+  files['wacom-pen-compat.json'] = {
+    compatrows: files['wacom-pen-compat.json'].compatrows.filter((row) => !row.tabletfamilies)
+  };
+  const data = await loadLegacy(files);
+
+  assert.deepEqual(summarizeBrand(data, 'wacom').tabletsWithoutPens, ['T2']);
+});
+
+test('countCrossBrandPairs counts the pairs of each tablet brand and pen brand', async () => {
+  const data = await loadLegacy();
+
+  assert.deepEqual(countCrossBrandPairs(data), [{ tabletBrand: 'wacom', penBrand: 'huion', count: 2 }]);
+});
@@ -0,0 +1,26 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { filterCompatPairs } from '../src/lib/compat-filter.js';
+import { tabletTypeOptions } from '../src/lib/device-fields.js';
+import { loadLegacy, pairIds } from './helpers.js';
+
+test('filterCompatPairs keeps the pairs whose tablet or pen is of the brand', async () => {
+  const data = await loadLegacy();
+
+  assert.deepEqual(pairIds(filterCompatPairs(data.pairs, { ...data, selectedBrand: 'huion' })), ['T1+P3', 'T2+P3', 'T3+GHOST']);
+});
+
+test('filterCompatPairs keeps the pairs whose tablet is of the type', async () => {
+  const data = await loadLegacy();
+
+  assert.deepEqual(pairIds(filterCompatPairs(data.pairs, { ...data, selectedType: 'pendisplay' })), ['T2+P3']);
+  assert.deepEqual(pairIds(filterCompatPairs(data.pairs, { ...data, selectedType: 'pentablet', searchTerm: 'pen:P3' })), ['T1+P3']);
+});
+
+test('tabletTypeOptions lists the known types first, with their labels', () => {
+  assert.deepEqual(tabletTypeOptions(['pendisplay', '', 'slate', 'pentablet', 'pendisplay']), [
+    { id: 'pentablet', name: 'Pen tablet' },
+    { id: 'pendisplay', name: 'Pen display' },
+    { id: 'slate', name: 'slate' }
+  ]);
+});
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { inferPensForTablet, inferTabletsForPen } from '../src/lib/compat-inference.js';
+
+// T1 lists P1; P2 shares P1's family; P3 and P4 are only related through their technology.
+function buildData() {
+  const penDefs = new Map([
+    ['P1', { familyId: 'PF', attributes: { technology: 'EMR' } }],
+    ['P2', { familyId: 'PF', attributes: {} }],
+    ['P3', { familyId: '', attributes: { technology: 'emr' } }],
+    ['P4', { familyId: '', attributes: { technology: 'AES' } }],
+    ['P5', { familyId: '', attributes: {} }]
+  ]);
+  const tabletDefs = new Map([
+    ['T1', { attributes: { technology: 'EMR' } }],
+    ['T2', { attributes: { technology: 'AES' } }]
+  ]);
+  const pair = { tabletId: 'T1', penId: 'P1' };
+  return {
+    penDefs,
+    tabletDefs,
+    pensByFamily: new Map([['PF', ['P1', 'P2']]]),
+    pairsByTablet: new Map([['T1', [pair]]]),
+    pairsByPen: new Map([['P1', [pair]]])
+  };
+}
+
+test('inferPensForTablet infers from the pen family and from technology alone', () => {
+  assert.deepEqual(inferPensForTablet('T1', buildData()), [
+    { penId: 'P2', verdict: 'likely-compatible', basis: ['family'], reasons: ['same pen family as P1, which is confirmed'], reason: 'same pen family as P1, which is confirmed' },
+    { penId: 'P3', verdict: 'likely-compatible', basis: ['technology'], reasons: ['both use emr'], reason: 'both use emr' },
+    { penId: 'P4', verdict: 'likely-incompatible', basis: ['technology'], reasons: ['pen uses AES, tablet uses EMR'], reason: 'pen uses AES, tablet uses EMR' }
+  ]);
+});
+
+test('inferTabletsForPen lets a technology mismatch outweigh the family evidence', () => {
+  const data = buildData();
+  data.pairsByTablet.set('T2', [{ tabletId: 'T2', penId: 'P2' }]);
+  data.pairsByPen.set('P2', [{ tabletId: 'T2', penId: 'P2' }]);
+
+  assert.deepEqual(inferTabletsForPen('P1', data).map(({ tabletId, verdict, basis, reason }) => ({ tabletId, verdict, basis, reason })), [
+    { tabletId: 'T2', verdict: 'likely-incompatible', basis: ['family', 'technology'], reason: 'same pen family as P2, which is confirmed; pen uses EMR, tablet uses AES' }
+  ]);
+  assert.deepEqual(inferTabletsForPen('P5', data), []);
+});
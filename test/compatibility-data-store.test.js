@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getCompatibilityData, clearCompatibilityDataCache } from '../src/lib/compatibility-data-store.js';
+import { DATA_FORMAT, encodeCompatibilityData } from '../src/lib/data-format.js';
+import { fetchFrom, legacyDataFiles } from './helpers.js';
+
+// The cache is module-wide, so each test uses its own base path.
+
+function chunkedDataFiles() {
+  const files = legacyDataFiles();
+  const raw = { ...files['wacom-pens.json'], ...files['wacom-tablets.json'], ...files['wacom-pen-compat.json'] };
+  const { core, chunks } = encodeCompatibilityData(raw, { chunkByBrand: true });
+  return {
+    'manifest.json': { format: DATA_FORMAT, hash: 'test', core: 'core.test.json', pairChunks: { wacom: 'pairs-wacom.test.json', huion: 'pairs-huion.test.json' } },
+    'core.test.json': core,
+    'pairs-wacom.test.json': chunks.wacom,
+    'pairs-huion.test.json': chunks.huion
+  };
+}
+
+test('loads the data once per base path', async () => {
+  const fetchImpl = fetchFrom(legacyDataFiles());
+
+  const first = await getCompatibilityData('/cached', fetchImpl);
+  const requests = fetchImpl.requests.length;
+  const second = await getCompatibilityData('/cached', fetchImpl);
+
+  assert.equal(second, first);
+  assert.equal(fetchImpl.requests.length, requests);
+  assert.match(first.loadedAtIso, /^\d{4}-\d{2}-\d{2}T/);
+});
+
+test('concurrent callers share one request', async () => {
+  const fetchImpl = fetchFrom(legacyDataFiles());
+
+  const [a, b] = await Promise.all([getCompatibilityData('/concurrent', fetchImpl), getCompatibilityData('/concurrent', fetchImpl)]);
+
+  assert.equal(a, b);
+  assert.equal(fetchImpl.requests.filter((url) => url.endsWith('wacom-pens.json')).length, 1);
+});
+
+test('clearCompatibilityDataCache evicts the data so it is fetched again', async () => {
+  const fetchImpl = fetchFrom(legacyDataFiles());
+
+  const first = await getCompatibilityData('/evict', fetchImpl);
+  clearCompatibilityDataCache('/evict');
+  const second = await getCompatibilityData('/evict', fetchImpl);
+
+  assert.notEqual(second, first);
+  assert.equal(fetchImpl.requests.filter((url) => url.endsWith('wacom-pens.json')).length, 2);
+});
+
+test('a failed load is not cached', async () => {
+  const broken = legacyDataFiles();
+  delete broken['wacom-pens.json'];
+
+  await assert.rejects(getCompatibilityData('/retry', fetchFrom(broken)));
+  const data = await getCompatibilityData('/retry', fetchFrom(legacyDataFiles()));
+
+  assert.equal(data.penDefs.size, 3);
+});
+
+test('snapshots are cached separately from the current data', async () => {
+  const fetchImpl = fetchFrom(legacyDataFiles());
+
+  const current = await getCompatibilityData('/snap', fetchImpl);
+  const snapshot = await getCompatibilityData('/snap', fetchImpl, '2026-01-31');
+
+  assert.notEqual(snapshot, current);
+  assert.equal(snapshot.snapshot, '2026-01-31');
+  assert.ok(fetchImpl.requests.includes('/snap/data/snapshots/2026-01-31/wacom-pens.json'));
+
+  clearCompatibilityDataCache('/snap', '2026-01-31');
+  assert.equal(await getCompatibilityData('/snap', fetchImpl), current);
+});
+
+test('a brand subset is cached apart from the full data, which serves any subset', async () => {
+  const fetchImpl = fetchFrom(chunkedDataFiles());
+
+  const huion = await getCompatibilityData('/brands', fetchImpl, '', { brands: ['huion'] });
+  assert.deepEqual(huion.brands, ['huion']);
+  assert.equal(await getCompatibilityData('/brands', fetchImpl, '', { brands: ['huion'] }), huion);
+
+  const full = await getCompatibilityData('/brands', fetchImpl);
+  assert.equal(full.brands, null);
+  assert.equal(await getCompatibilityData('/brands', fetchImpl, '', { brands: ['wacom'] }), full);
+
+  clearCompatibilityDataCache('/brands');
+  assert.notEqual(await getCompatibilityData('/brands', fetchImpl, '', { brands: ['huion'] }), huion);
+});
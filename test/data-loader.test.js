@@ -0,0 +1,203 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchCompatibilityData } from '../src/lib/data-loader.js';
+import { buildFamilyMembers, expandCompatRows, computeDiagnostics, formatIssue } from '../src/lib/compat-pairs.js';
+import { DATA_FORMAT, encodeCompatibilityData } from '../src/lib/data-format.js';
+import { brandOptions, brandLogoSrc } from '../src/lib/brands.js';
+import { fetchFrom, legacyDataFiles, loadLegacy, pairIds, readFixture } from './helpers.js';
+
+test('fetchAndParseJSON parses the definitions into Maps', async () => {
+  const data = await loadLegacy();
+
+  assert.deepEqual(data.penDefs.get('P1'), {
+    brand: 'wacom',
+    name: 'Pen 1',
+    fullName: 'Wacom Pen 1 (P1)',
+    familyId: 'PF',
+    year: '2017',
+    attributes: { technology: 'EMR' },
+    override: ''
+  });
+  assert.equal(data.tabletDefs.get('T2').type, 'pendisplay');
+  assert.equal(data.penFamilyDefs.get('PF'), 'Pen family');
+  assert.equal(data.tabletFamilyBrands.get('TF'), 'wacom');
+});
+
+test('fetchAndParseJSON expands pen and tablet families into sorted pairs', async () => {
+  const data = await loadLegacy();
+
+  assert.deepEqual(pairIds(data.pairs), ['T1+P1', 'T1+P2', 'T1+P3', 'T2+P3', 'T3+GHOST']);
+
+  const viaPenFamily = data.pairs.find((pair) => pair.penId === 'P2');
+  assert.deepEqual(viaPenFamily.sources.map(({ via, familyId }) => ({ via, familyId })), [{ via: 'penfamily', familyId: 'PF' }]);
+
+  const viaTabletFamily = data.pairs.find((pair) => pair.tabletId === 'T2');
+  assert.equal(viaTabletFamily.sources[0].tabletVia, 'tabletfamily');
+  assert.equal(viaTabletFamily.sources[0].tabletFamilyId, 'TF');
+  assert.equal(viaTabletFamily.sources[0].file, 'HUION-pen-compat.json');
+});
+
+test('fetchAndParseJSON lists a pair once, with every row that produced it', async () => {
+  const data = await loadLegacy();
+  const pair = data.pairs.find((p) => p.tabletId === 'T1' && p.penId === 'P1');
+
+  assert.equal(data.pairs.filter((p) => p.tabletId === 'T1' && p.penId === 'P1').length, 1);
+  assert.deepEqual(pair.sources.map(({ row, via }) => ({ row, via })), [
+    { row: 0, via: 'pen' },
+    { row: 1, via: 'penfamily' }
+  ]);
+});
+
+test('fetchAndParseJSON returns lookup indices', async () => {
+  const data = await loadLegacy();
+
+  assert.deepEqual(pairIds(data.pairsByTablet.get('T1')), ['T1+P1', 'T1+P2', 'T1+P3']);
+  assert.deepEqual(pairIds(data.pairsByPen.get('P3')), ['T1+P3', 'T2+P3']);
+  assert.deepEqual(data.pensByFamily.get('PF'), ['P1', 'P2']);
+  assert.equal(data.pensByFamily.has('EMPTY_PF'), false);
+  assert.deepEqual(data.tabletsByBrand.get('huion'), ['T3']);
+});
+
+test('fetchAndParseJSON rejects when a file is missing', async () => {
+  const files = legacyDataFiles();
+  delete files['wacom-tablets.json'];
+
+  await assert.rejects(loadLegacy(files), /Network response was not ok/);
+});
+
+test('computeDiagnostics reports duplicates, unknown references and unused devices', () => {
+  const pens = readFixture('static-data/wacom-pens.json');
+  const tablets = readFixture('static-data/wacom-tablets.json');
+  const { compatrows } = readFixture('static-data/wacom-pen-compat.json');
+  const { pairs, pairOccurrences, unresolvedPenFamilies, unresolvedTabletFamilies } = expandCompatRows(
+    compatrows,
+    buildFamilyMembers(pens.pendefs.map((def) => ({ id: def.id, familyId: def.familyid }))),
+    buildFamilyMembers(tablets.tabletdefs.map((def) => ({ id: def.id, familyId: def.familyid })))
+  );
+
+  const diagnostics = computeDiagnostics({
+    pairs,
+    pairOccurrences,
+    unresolvedPenFamilies,
+    unresolvedTabletFamilies,
+    tabletIds: tablets.tabletdefs.map((def) => def.id),
+    penIds: pens.pendefs.map((def) => def.id),
+    penFamilyIds: pens.penfamilydefs.map((def) => def.id),
+    tabletFamilyIds: tablets.tabletfamilydefs.map((def) => def.id)
+  });
+
+  assert.deepEqual(diagnostics.duplicatePairs, [{ tabletId: 'T1', penId: 'P1', occurrences: 2 }]);
+  assert.deepEqual(diagnostics.missingPenDefs, [{ penId: 'GHOST', tabletIds: ['T3'] }]);
+  assert.deepEqual(diagnostics.unknownPenFamilies, ['NO_SUCH_FAMILY']);
+  assert.deepEqual(diagnostics.emptyPenFamilies, ['EMPTY_PF']);
+});
+
+test('formatIssue shows where an issue is', () => {
+  assert.equal(formatIssue({ file: 'WACOM-pens.json', index: 2, field: 'PenId', message: 'missing' }), 'WACOM-pens.json[2].PenId: missing');
+  assert.equal(formatIssue({ file: 'HUION-pens.json', index: null, field: '', message: 'file not found' }), 'HUION-pens.json: file not found');
+});
+
+test('fetchCompatibilityData reads the compact format into the same data', async () => {
+  const files = legacyDataFiles();
+  const raw = { ...files['wacom-pens.json'], ...files['wacom-tablets.json'], ...files['wacom-pen-compat.json'] };
+  const { core } = encodeCompatibilityData(raw);
+  const compact = await fetchCompatibilityData('/data', fetchFrom({
+    'manifest.json': { format: DATA_FORMAT, hash: 'test', core: 'core.test.json' },
+    'core.test.json': core
+  }));
+  const legacy = await loadLegacy();
+
+  assert.deepEqual(compact.pairs, legacy.pairs);
+  assert.deepEqual(compact.pairsByPen, legacy.pairsByPen);
+  assert.deepEqual(compact.tabletDefs, legacy.tabletDefs);
+  assert.equal(compact.brands, null);
+});
+
+test('brandDefs follows the brand registry, with default names for brands missing from it', async () => {
+  const files = legacyDataFiles();
+  const branddefs = [{ id: 'wacom', name: 'WACOM Co.', website: 'https://www.wacom.com/', logo: '' }];
+  const raw = { branddefs, ...files['wacom-pens.json'], ...files['wacom-tablets.json'], ...files['wacom-pen-compat.json'] };
+  const { core } = encodeCompatibilityData(raw);
+  const data = await fetchCompatibilityData('/data', fetchFrom({
+    'manifest.json': { format: DATA_FORMAT, hash: 'test', core: 'core.test.json' },
+    'core.test.json': core
+  }));
+
+  assert.deepEqual(Array.from(data.brandDefs), [
+    ['wacom', { name: 'WACOM Co.', website: 'https://www.wacom.com/', logo: '' }],
+    ['huion', { name: 'Huion', website: '', logo: '' }]
+  ]);
+  assert.deepEqual(brandOptions(['huion', '', 'wacom', 'huion'], data.brandDefs), [
+    { id: 'wacom', name: 'WACOM Co.' },
+    { id: 'huion', name: 'Huion' }
+  ]);
+  assert.equal((await loadLegacy()).brandDefs.get('wacom').name, 'Wacom');
+});
+
+test('brandLogoSrc resolves logo paths against the base path', () => {
+  assert.equal(brandLogoSrc('/explorer', 'brand-logos/wacom.svg'), '/explorer/brand-logos/wacom.svg');
+  assert.equal(brandLogoSrc('', '/brand-logos/wacom.svg'), '/brand-logos/wacom.svg');
+  assert.equal(brandLogoSrc('/explorer', 'https://example.com/logo.svg'), 'https://example.com/logo.svg');
+  assert.equal(brandLogoSrc('/explorer', ''), '');
+});
+
+test('fetchCompatibilityData fetches only the requested brand chunks', async () => {
+  const files = legacyDataFiles();
+  const raw = { ...files['wacom-pens.json'], ...files['wacom-tablets.json'], ...files['wacom-pen-compat.json'] };
+  const { core, chunks } = encodeCompatibilityData(raw, { chunkByBrand: true });
+  const fetchImpl = fetchFrom({
+    'manifest.json': { format: DATA_FORMAT, hash: 'test', core: 'core.test.json', pairChunks: { wacom: 'pairs-wacom.test.json', huion: 'pairs-huion.test.json' } },
+    'core.test.json': core,
+    'pairs-wacom.test.json': chunks.wacom,
+    'pairs-huion.test.json': chunks.huion
+  });
+
+  const data = await fetchCompatibilityData('/data', fetchImpl, { brands: ['huion'] });
+
+  assert.deepEqual(data.brands, ['huion']);
+  assert.deepEqual(pairIds(data.pairs), ['T3+GHOST']);
+  assert.equal(fetchImpl.requests.includes('/data/pairs-wacom.test.json'), false);
+});
+
+test('fetchCompatibilityData merges all brand chunks into the same data', async () => {
+  const files = legacyDataFiles();
+  const raw = { ...files['wacom-pens.json'], ...files['wacom-tablets.json'], ...files['wacom-pen-compat.json'] };
+  const { core, chunks } = encodeCompatibilityData(raw, { chunkByBrand: true });
+  const data = await fetchCompatibilityData('/data', fetchFrom({
+    'manifest.json': { format: DATA_FORMAT, hash: 'test', core: 'core.test.json', pairChunks: { wacom: 'pairs-wacom.test.json', huion: 'pairs-huion.test.json' } },
+    'core.test.json': core,
+    'pairs-wacom.test.json': chunks.wacom,
+    'pairs-huion.test.json': chunks.huion
+  }));
+  const legacy = await loadLegacy();
+
+  assert.deepEqual(data.pairs, legacy.pairs);
+  assert.deepEqual(data.pairsByTablet, legacy.pairsByTablet);
+  assert.deepEqual(data.pairsByPen, legacy.pairsByPen);
+  assert.equal(data.brands, null);
+});
+
+test('fetchCompatibilityData still reads format 2 (older snapshots)', async () => {
+  const files = legacyDataFiles();
+  const raw = { ...files['wacom-pens.json'], ...files['wacom-tablets.json'], ...files['wacom-pen-compat.json'] };
+  const { core } = encodeCompatibilityData(raw);
+  // Format 2 kept each row's source and had flat [tabletId, penId, ...rows] pairs.
+  const { compatsources, ...format2 } = {
+    ...core,
+    compatrows: raw.compatrows,
+    pairs: core.pairs.flatMap(([tabletId, ...entries]) => entries.map(([penId, ...rows]) => [tabletId, penId, ...rows]))
+  };
+  const data = await fetchCompatibilityData('/data', fetchFrom({
+    'manifest.json': { format: 2, hash: 'test', core: 'core.test.json' },
+    'core.test.json': format2
+  }));
+
+  assert.deepEqual(data.pairs, (await loadLegacy()).pairs);
+});
+
+test('fetchCompatibilityData falls back to the old files when there is no manifest', async () => {
+  const data = await fetchCompatibilityData('/data', fetchFrom(legacyDataFiles()));
+
+  assert.equal(data.pairs.length, 5);
+  assert.equal(data.brands, null);
+});
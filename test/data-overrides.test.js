@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeOverrides } from '../scripts/data-overrides.js';
+import { TABLET_SCHEMA, validateFile } from '../scripts/data-schema.js';
+
+const idOf = (t) => (t.Model ? t.Model.Id : t.ModelId);
+
+function source(records) {
+  return validateFile('tablets.json', { DrawingTablets: records }, TABLET_SCHEMA);
+}
+
+function merge(records, data) {
+  return mergeOverrides(source(records), data, { file: 'override.json', schema: TABLET_SCHEMA, idOf });
+}
+
+test('patches merge nested fields and null removes a field', () => {
+  const { entries, conflicts } = merge(
+    [{ Model: { Id: 'T1', Name: 'Tablet', Family: 'TF', Type: 'PENTABLET' } }],
+    { Patch: [{ Model: { Id: 'T1', Name: 'Tablet (EU)', Family: null } }] }
+  );
+
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(entries, [{ record: { Model: { Id: 'T1', Name: 'Tablet (EU)', Type: 'PENTABLET' } }, index: 0, override: 'patched' }]);
+});
+
+test('skips patches that match nothing or leave the record invalid', () => {
+  const { entries, conflicts } = merge(
+    [{ ModelId: 'T1', ModelName: 'Tablet' }],
+    { Patch: [{ ModelId: 'T1', ModelName: '' }, { ModelId: 'T9', ModelName: 'Unknown' }] }
+  );
+
+  assert.equal(entries[0].override, '');
+  assert.deepEqual(conflicts.map((conflict) => conflict.message), [
+    'the patched record is invalid (ModelName: required field is empty)',
+    '"T9" is not in the source file'
+  ]);
+});
+
+test('deleting and adding the same id replaces the record without a conflict', () => {
+  const { entries, applied, conflicts } = merge(
+    [{ ModelId: 'T1', ModelName: 'Tablet' }, { ModelId: 'T2', ModelName: 'Other' }],
+    { DrawingTablets: [{ ModelId: 'T1', ModelName: 'Replacement' }], Delete: ['T1', 'T2'] }
+  );
+
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(entries.map((entry) => [entry.record.ModelName, entry.override]), [['Replacement', 'replaced']]);
+  assert.deepEqual(applied, [{ id: 'T1', action: 'replaced' }, { id: 'T2', action: 'deleted' }]);
+});
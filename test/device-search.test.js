@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery } from '../src/lib/search-query.js';
+import { searchDevices } from '../src/lib/device-search.js';
+
+const tokens = (input) => parseQuery(input).groups.map((group) => group.map(({ negate, field, text }) => ({ negate, field, text })));
+
+const items = [
+  { id: 'PTH-660', name: 'Intuos Pro Medium', brand: 'wacom', family: 'Intuos Pro', type: 'pentablet', attributes: { year: '2017' } },
+  { id: 'DTK-1660', name: 'Cintiq 16', brand: 'wacom', family: 'Cintiq', type: 'pendisplay', attributes: { year: '2019' } },
+  { id: 'GT-221', name: 'Kamvas 22', brand: 'huion', family: 'Kamvas', type: 'pendisplay', attributes: { year: '2020' } }
+];
+const ids = (result) => result.items.map((item) => item.id);
+
+test('parseQuery splits plain words, phrases, qualifiers and negations', () => {
+  assert.deepEqual(tokens('kamvas "pro pen" brand:huion -tilt'), [[
+    { negate: false, field: null, text: 'kamvas' },
+    { negate: false, field: null, text: 'pro pen' },
+    { negate: false, field: 'brand', text: 'huion' },
+    { negate: true, field: null, text: 'tilt' }
+  ]]);
+});
+
+test('parseQuery resolves field aliases and quoted field values', () => {
+  assert.deepEqual(tokens('tech:emr family:"Pro Pen 2" model:kp*'), [[
+    { negate: false, field: 'technology', text: 'emr' },
+    { negate: false, field: 'family', text: 'Pro Pen 2' },
+    { negate: false, field: 'id', text: 'kp*' }
+  ]]);
+});
+
+test('parseQuery treats OR and | as group separators', () => {
+  assert.equal(parseQuery('intuos OR cintiq | kamvas').groups.length, 3);
+  assert.deepEqual(parseQuery('').groups, []);
+});
+
+test('parseQuery searches unknown qualifiers as text and skips half-typed ones', () => {
+  assert.deepEqual(tokens('foo:bar'), [[{ negate: false, field: null, text: 'foo:bar' }]]);
+  assert.deepEqual(tokens('brand:'), []);
+});
+
+test('searchDevices filters exactly on qualifiers, globs and comparisons', () => {
+  assert.deepEqual(ids(searchDevices(items, 'brand:wacom')), ['PTH-660', 'DTK-1660']);
+  assert.deepEqual(ids(searchDevices(items, 'type:"Pen display" -brand:huion')), ['DTK-1660']);
+  assert.deepEqual(ids(searchDevices(items, 'dtk-*')), ['DTK-1660']);
+  assert.deepEqual(ids(searchDevices(items, 'year:>=2019')), ['DTK-1660', 'GT-221']);
+  assert.deepEqual(ids(searchDevices(items, 'brand:wacom,huion')), ['PTH-660', 'DTK-1660', 'GT-221']);
+});
+
+test('searchDevices ranks plain words typo-tolerantly and returns them for highlighting', () => {
+  const result = searchDevices(items, 'kamvsa');
+
+  assert.deepEqual(ids(result), ['GT-221']);
+  assert.deepEqual(result.words, ['kamvsa']);
+});
@@ -0,0 +1,23 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { familyCoverage } from '../src/lib/family-coverage.js';
+import { loadLegacy } from './helpers.js';
+
+test('familyCoverage lists the devices that work with every member of a family first', async () => {
+  const data = await loadLegacy();
+  const coverage = familyCoverage(data.tabletsByFamily.get('TF'), data.pairsByTablet, 'penId');
+
+  assert.deepEqual(coverage.rows, [
+    { id: 'P3', supported: [true, true], count: 2, missing: [] },
+    { id: 'P1', supported: [true, false], count: 1, missing: ['T2'] },
+    { id: 'P2', supported: [true, false], count: 1, missing: ['T2'] }
+  ]);
+  assert.equal(coverage.fullCount, 1);
+});
+
+test('familyCoverage works from the pen side and for members without pairs', async () => {
+  const data = await loadLegacy();
+
+  assert.deepEqual(familyCoverage(data.pensByFamily.get('PF'), data.pairsByPen, 'tabletId').rows.map((row) => row.id), ['T1']);
+  assert.deepEqual(familyCoverage(['NO_PAIRS'], data.pairsByPen, 'tabletId'), { rows: [], fullCount: 0 });
+});
@@ -0,0 +1,217 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { cpSync, existsSync, mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { FIXTURES_DIR } from './helpers.js';
+import { DATA_FORMAT, coreToRawRevision } from '../src/lib/data-format.js';
+import { DIAGNOSTIC_CHECKS } from '../scripts/diagnostics-report.js';
+
+const SCRIPT = fileURLToPath(new URL('../scripts/generate-data.js', import.meta.url));
+
+// `tabletId+penId` of the pairs in a core file, in order.
+function pairIds(core) {
+  return core.pairs.flatMap(([tabletId, ...entries]) => entries.map(([penId]) => `${tabletId}+${penId}`));
+}
+
+// Runs the script in `dir`, ignoring a PREVIOUS_DATA_URL set in the environment.
+function runScript(dir, args) {
+  return spawnSync(process.execPath, [SCRIPT, ...args], { cwd: dir, encoding: 'utf-8', env: { ...process.env, PREVIOUS_DATA_URL: '' } });
+}
+
+/**
+ * Runs the generate script in a scratch directory holding test/fixtures/data-repo/ (and, with
+ * `overrides`, test/fixtures/data-overrides/), as the script reads data-repo/data/ and
+ * data-overrides/ and writes static/data/ relative to the working directory.
+ * `rerun(args)` runs it again in the same directory.
+ */
+function generate(t, args = [], { overrides = false } = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'generate-data-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  cpSync(join(FIXTURES_DIR, 'data-repo'), join(dir, 'data-repo'), { recursive: true });
+  if (overrides) cpSync(join(FIXTURES_DIR, 'data-overrides'), join(dir, 'data-overrides'), { recursive: true });
+
+  const result = runScript(dir, args);
+  const read = (name) => JSON.parse(readFileSync(join(dir, 'static/data', name), 'utf-8'));
+  const output = () => {
+    const manifest = read('manifest.json');
+    return { manifest, core: read(manifest.core), diagnostics: read('diagnostics.json') };
+  };
+  return { ...result, dir, output, read, rerun: (rerunArgs = []) => runScript(dir, rerunArgs) };
+}
+
+test('reads files that start with a byte order mark', (t) => {
+  const run = generate(t);
+  assert.equal(run.status, 0, run.stderr);
+
+  const { core } = run.output();
+  assert.deepEqual(core.pendefs.filter((def) => def.brand === 'wacom').map((def) => def.id), ['KP504E', 'KP505']);
+  assert.equal(core.pendefs.find((def) => def.id === 'KP504E').fullname, 'Wacom Pro Pen 2 (KP504E)');
+});
+
+test('reads both the nested and the flat tablet schema', (t) => {
+  const { core } = generate(t).output();
+  const tablets = new Map(core.tabletdefs.map((def) => [def.id, def]));
+
+  // Nested `Model.*` (WACOM fixture)
+  assert.equal(tablets.get('DTK-1660').name, 'Cintiq 16');
+  assert.equal(tablets.get('DTK-1660').familyid, 'WACOM_CINTIQ');
+  assert.equal(tablets.get('DTK-1660').type, 'pendisplay');
+  // Flat `Model*` (HUION fixture); the type defaults to pentablet
+  assert.equal(tablets.get('GT-221').name, 'Kamvas 22');
+  assert.equal(tablets.get('GT-221').familyid, 'HUION_KAMVAS');
+  assert.equal(tablets.get('GT-221').type, 'pendisplay');
+  assert.equal(tablets.get('H640P').type, 'pentablet');
+});
+
+test('skips invalid records and reports them', (t) => {
+  const { core, diagnostics } = generate(t).output();
+
+  assert.equal(core.tabletdefs.some((def) => def.name === 'No id'), false);
+  assert.ok(diagnostics.validation.some((issue) =>
+    issue.severity === 'error' && issue.file.endsWith('WACOM-tablets.json') && issue.index === 2));
+});
+
+test('reports a missing file as a warning', (t) => {
+  const { diagnostics } = generate(t).output();
+
+  assert.ok(diagnostics.validation.some((issue) =>
+    issue.severity === 'warning' && issue.file.endsWith('tablet-families/HUION-tablet-families.json') && issue.message === 'file not found'));
+});
+
+test('discovers the brands from the file names and names them from the registry', (t) => {
+  const { core } = generate(t).output();
+
+  assert.deepEqual(core.branddefs, [
+    { id: 'huion', name: 'Huion', website: 'https://www.huion.com/', logo: 'brand-logos/huion.svg' },
+    { id: 'wacom', name: 'Wacom', website: 'https://www.wacom.com/', logo: 'brand-logos/wacom.svg' }
+  ]);
+  assert.equal(core.pendefs.find((def) => def.id === 'PW517').fullname, 'Huion PW517');
+});
+
+test('takes new brands and brand details from the overrides', (t) => {
+  const run = generate(t, [], { overrides: true });
+  const { core, diagnostics } = run.output();
+
+  assert.deepEqual(core.branddefs.map((def) => def.name), ['Huion', 'Wacom', 'XP-Pen Labs']);
+  assert.equal(core.pendefs.find((def) => def.id === 'XPL-1').fullname, 'XP-Pen Labs Prototype (XPL-1)');
+  assert.ok(!diagnostics.validation.some((issue) => issue.file === 'scripts/brands.json'));
+});
+
+test('expands compat rows into pairs grouped by tablet', (t) => {
+  const { manifest, core } = generate(t).output();
+
+  assert.equal(manifest.format, DATA_FORMAT);
+  assert.match(manifest.core, /^core\.[0-9a-f]{16}\.json$/);
+  assert.deepEqual(pairIds(core), [
+    'DTK-1660+KP504E', 'GT-221+PW517', 'H640P+PW517', 'PTH-660+KP504E', 'PTH-660+KP505'
+  ]);
+  assert.equal(core.pensByTablet, undefined);
+  assert.ok(core.compatrows.every((row) => !('source' in row)));
+});
+
+test('--strict refuses to write anything when there are validation errors', (t) => {
+  const run = generate(t, ['--strict']);
+
+  assert.equal(run.status, 1);
+  assert.match(run.stderr, /--strict: refusing to write static\/data\//);
+  assert.equal(existsSync(join(run.dir, 'static/data')), false);
+});
+
+test('a breached threshold fails the run before static/data/ is written', (t) => {
+  const run = generate(t, ['--threshold', 'duplicatePairs=0', '--report', 'report.xml']);
+
+  assert.equal(run.status, 1);
+  assert.match(run.stderr, /duplicatePairs: 1 \(maximum 0\)/);
+  assert.equal(existsSync(join(run.dir, 'static/data')), false);
+  assert.match(readFileSync(join(run.dir, 'report.xml'), 'utf-8'), /<failure message="1 findings, maximum is 0"\/>/);
+});
+
+test('rejects an unknown threshold check before doing anything', (t) => {
+  const run = generate(t, ['--threshold', 'bogusCheck=0']);
+
+  assert.equal(run.status, 1);
+  assert.match(run.stderr, /^--threshold: Unknown diagnostics check 'bogusCheck'\. Known checks: missingTabletDefs, /);
+  assert.doesNotMatch(run.stderr, /\n\s+at /);
+  assert.equal(existsSync(join(run.dir, 'static/data')), false);
+});
+
+test('the known threshold checks are the keys of the diagnostics summary', (t) => {
+  const { diagnostics } = generate(t).output();
+
+  assert.deepEqual(Object.keys(diagnostics.summary), DIAGNOSTIC_CHECKS);
+});
+
+test('merges local overrides and marks the overridden records', (t) => {
+  const run = generate(t, [], { overrides: true });
+  assert.equal(run.status, 0, run.stderr);
+  const { core, diagnostics } = run.output();
+  const pens = new Map(core.pendefs.map((def) => [def.id, def]));
+
+  assert.equal(pens.get('KP100-PROTO').override, 'added');
+  assert.equal(pens.get('KP505').override, 'patched');
+  assert.equal(pens.get('KP505').name, 'Pro Pen 3D (JP)');
+  assert.equal(pens.get('KP505').year, '');
+  assert.equal('override' in pens.get('KP504E'), false);
+  assert.equal(core.tabletdefs.find((def) => def.id === 'GT-221').override, 'replaced');
+
+  // WACOM entry #0 patched to PTH-660 only, entry #1 (the pen family row) deleted, one entry added.
+  assert.deepEqual(pairIds(core), [
+    'GT-221+PW517', 'H640P+PW517', 'PTH-660+KP100-PROTO', 'PTH-660+KP504E'
+  ]);
+  const { compatrows } = coreToRawRevision(core).compat;
+  assert.deepEqual(compatrows.filter((row) => row.source.override).map((row) => row.source), [
+    { file: 'WACOM-pen-compat.json', index: 0, override: 'patched' },
+    { file: 'data-overrides/pen-compat/WACOM-pen-compat.json', index: 0, override: 'added' }
+  ]);
+
+  assert.ok(diagnostics.overrides.records.some((record) =>
+    record.kind === 'compat entry' && record.id === 'WACOM-pen-compat.json entry #1' && record.action === 'deleted'));
+  assert.deepEqual(diagnostics.overrides.conflicts.map((conflict) => `${conflict.file}: ${conflict.message}`), [
+    'data-overrides/tablets/HUION-tablets.json: "GT-221" is already in the source file; the override replaces it',
+    'data-overrides/pens/WACOM-pens.json: "KP999" is not in the source file',
+    'data-overrides/pens/WACOM-pens.old.json: not merged: expected <BRAND>-pens.json'
+  ]);
+  assert.equal(diagnostics.summary.overrideConflicts, 3);
+  assert.match(run.stderr, /Override conflicts \(3\):/);
+});
+
+test('keeps the changelog and snapshots of an explicitly given previous data directory', (t) => {
+  const run = generate(t);
+  assert.equal(run.status, 0, run.stderr);
+  cpSync(join(run.dir, 'static/data'), join(run.dir, 'published'), { recursive: true });
+  rmSync(join(run.dir, 'static/data'), { recursive: true });
+
+  const rerun = run.rerun(['--previous', 'published']);
+  assert.equal(rerun.status, 0, rerun.stderr);
+  const [snapshot] = run.read('snapshots/index.json').snapshots;
+  assert.ok(existsSync(join(run.dir, 'static/data/snapshots', snapshot.key, 'manifest.json')));
+});
+
+test('fails without writing anything when an explicitly given previous data source cannot be read', (t) => {
+  const run = generate(t, ['--previous', 'no-such-dir']);
+
+  assert.equal(run.status, 1);
+  assert.match(run.stderr, /Could not read the previous data from no-such-dir \(the data files, changelog\.json, snapshots\/index\.json not found\)/);
+  assert.equal(existsSync(join(run.dir, 'static/data')), false);
+});
+
+test('fails when a snapshot of the previous data cannot be copied', (t) => {
+  const run = generate(t);
+  assert.equal(run.status, 0, run.stderr);
+  cpSync(join(run.dir, 'static/data'), join(run.dir, 'published'), { recursive: true });
+  rmSync(join(run.dir, 'static/data'), { recursive: true });
+  const [snapshot] = JSON.parse(readFileSync(join(run.dir, 'published/snapshots/index.json'), 'utf-8')).snapshots;
+  rmSync(join(run.dir, 'published/snapshots', snapshot.key), { recursive: true });
+
+  const rerun = run.rerun(['--previous', 'published']);
+  assert.equal(rerun.status, 1);
+  assert.match(rerun.stderr, new RegExp(`snapshot ${snapshot.key}: files missing`));
+  assert.equal(existsSync(join(run.dir, 'static/data/manifest.json')), false);
+
+  // `--previous none` starts over instead.
+  assert.equal(run.rerun(['--previous', 'none']).status, 0);
+  assert.deepEqual(run.read('changelog.json').entries, []);
+});
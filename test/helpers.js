@@ -0,0 +1,63 @@
+/**
+ * Shared helpers for the test suite: an injectable `fetchImpl` that serves fixture files
+ * from disk or memory, so nothing touches the network.
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { join } from 'node:path';
+import { fetchAndParseJSON } from '../src/lib/data-loader.js';
+
+export const FIXTURES_DIR = fileURLToPath(new URL('./fixtures/', import.meta.url));
+
+/**
+ * Reads and parses a fixture file.
+ * @param {string} path - Relative to test/fixtures/.
+ */
+export function readFixture(path) {
+  return JSON.parse(readFileSync(join(FIXTURES_DIR, path), 'utf-8'));
+}
+
+/**
+ * A `fetchImpl` serving `files` by the last segment of the requested URL; anything else is a 404.
+ * Every requested URL is recorded in `fetchImpl.requests`.
+ * @param {Object<string, Object|string>} files - File name -> JSON value (or raw text).
+ */
+export function fetchFrom(files) {
+  const fetchImpl = async (url) => {
+    fetchImpl.requests.push(String(url));
+    const name = String(url).split('/').pop();
+    if (!(name in files)) return new Response(null, { status: 404 });
+    const body = files[name];
+    return new Response(typeof body === 'string' ? body : JSON.stringify(body));
+  };
+  fetchImpl.requests = [];
+  return fetchImpl;
+}
+
+/**
+ * The files in test/fixtures/static-data/ (the old wacom-*.json layout), for fetchFrom.
+ */
+export function legacyDataFiles() {
+  return {
+    'wacom-pens.json': readFixture('static-data/wacom-pens.json'),
+    'wacom-tablets.json': readFixture('static-data/wacom-tablets.json'),
+    'wacom-pen-compat.json': readFixture('static-data/wacom-pen-compat.json')
+  };
+}
+
+/**
+ * The data fetchAndParseJSON returns for `files` (by default the old-layout fixtures).
+ * @param {Object<string, Object>} [files]
+ */
+export function loadLegacy(files = legacyDataFiles()) {
+  return fetchAndParseJSON('/data/wacom-pen-compat.json', '/data/wacom-tablets.json', '/data/wacom-pens.json', fetchFrom(files));
+}
+
+/**
+ * `tabletId+penId` of each pair, for compact assertions.
+ * @param {{tabletId: string, penId: string}[]} pairs
+ */
+export function pairIds(pairs) {
+  return pairs.map(({ tabletId, penId }) => `${tabletId}+${penId}`);
+}
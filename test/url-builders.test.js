@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPenDetailHref } from '../src/lib/pen-url.js';
+import { buildGearHref, parseGearQuery } from '../src/lib/gear.js';
+import { slugifyPathSegment, buildTabletDetailHref, buildCompareHref, parseCompareTabletIds } from '../src/lib/tablet-url.js';
+
+test('slugifyPathSegment lowercases and collapses everything but letters and digits', () => {
+  assert.equal(slugifyPathSegment('  XP-Pen Artist 12 (2nd Gen) '), 'xp-pen-artist-12-2nd-gen');
+  assert.equal(slugifyPathSegment('--wacom--'), 'wacom');
+  assert.equal(slugifyPathSegment(''), 'tablet');
+  assert.equal(slugifyPathSegment(null), 'tablet');
+});
+
+test('buildTabletDetailHref uses the brand as the slug and encodes the id', () => {
+  assert.equal(buildTabletDetailHref('', { id: 'PTH-660', brand: 'wacom', name: 'Intuos Pro' }), '/tablets/wacom/PTH-660/');
+  assert.equal(buildTabletDetailHref('/base', { id: 'A/B 1', brand: 'huion' }), '/base/tablets/huion/A%2FB%201/');
+});
+
+test('buildTabletDetailHref falls back to the name, then the id, for the slug', () => {
+  assert.equal(buildTabletDetailHref('', { id: 'X1', brand: '', name: 'Some Tablet' }), '/tablets/some-tablet/X1/');
+  assert.equal(buildTabletDetailHref('', { id: 'X1' }), '/tablets/x1/X1/');
+});
+
+test('buildPenDetailHref mirrors the tablet routes', () => {
+  assert.equal(buildPenDetailHref('', { id: 'KP504E', brand: 'wacom', name: 'Pro Pen 2' }), '/pens/wacom/KP504E/');
+  assert.equal(buildPenDetailHref('/base', { id: 'PW 517', brand: '', name: '' }), '/base/pens/pw-517/PW%20517/');
+  assert.equal(buildPenDetailHref('', { id: '---', brand: '', name: '' }), '/pens/pen/---/');
+});
+
+test('buildCompareHref and parseCompareTabletIds round-trip', () => {
+  const href = buildCompareHref('/base', ['PTH-660', 'GT 221']);
+
+  assert.equal(href, '/base/compare/?tablets=PTH-660,GT%20221');
+  assert.deepEqual(parseCompareTabletIds(href.split('?')[1]), ['PTH-660', 'GT 221']);
+  assert.equal(buildCompareHref('', []), '/compare/');
+  assert.deepEqual(parseCompareTabletIds('?tablets=A,,B,A'), ['A', 'B']);
+  // Ids are split before decoding, so an encoded comma stays inside its id.
+  const withComma = buildCompareHref('', ['A,1', 'B']);
+  assert.equal(withComma, '/compare/?tablets=A%2C1,B');
+  assert.deepEqual(parseCompareTabletIds(withComma.split('?')[1]), ['A,1', 'B']);
+  assert.deepEqual(parseCompareTabletIds('?asof=2024-01-01&tablets=GT+221'), ['GT 221']);
+});
+
+test('buildGearHref and parseGearQuery round-trip ids with commas', () => {
+  const gear = { pens: ['KP-504E'], tablets: ['A,1', 'GT 221'] };
+  const href = buildGearHref('', gear);
+
+  assert.equal(href, '/mygear/?pens=KP-504E&tablets=A%2C1,GT%20221');
+  assert.deepEqual(parseGearQuery(href.split('?')[1]), gear);
+  assert.equal(parseGearQuery('?asof=2024-01-01'), null);
+});